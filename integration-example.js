@@ -86,7 +86,7 @@ class ProtectedChatClient {
       if (!response.ok) {
         // Record failure
         this.metrics.record(latency, false);
-        this.circuitBreaker.onFailure();
+        this.circuitBreaker.onFailure(response); // 4xx/429 don't count against the server
         this.totalFailed++;
         
         const error = new Error(`API error: ${response.status}`);
@@ -106,7 +106,7 @@ class ProtectedChatClient {
       
       // Handle network errors (timeouts, etc)
       this.metrics.record(latency, false);
-      this.circuitBreaker.onFailure();
+      this.circuitBreaker.onFailure(error);
       this.totalFailed++;
       
       throw error;
@@ -4,20 +4,37 @@
  * Automatically adjusts rate based on error signals:
  * - When stable: Additive increase (slow ramp up)
  * - When errors: Multiplicative decrease (fast back off)
+ * - After a decrease: cooldown, so errors caused by the old rate that are
+ *   still in the metrics window don't cut the rate again
+ * - Between the increase and decrease thresholds: hold (hysteresis)
+ * - Warmup: ramp from warmupRate to initialRate along a profile ('flat',
+ *   'linear', 'exponential', 'steps' or a custom function); errors during
+ *   the ramp end it early at the rate reached
  * 
  * Usage:
  * const controller = new AIMDController({
  *   initialRate: 5,
  *   minRate: 1,
- *   maxRate: 100
+ *   maxRate: 100,
+ *   cooldownMs: 30000,          // Match the SlidingWindow windowMs
+ *   increaseErrorThreshold: 0.01,
+ *   smoothing: 0.3              // Optional EWMA of inputs
  * });
  * 
  * // Update metrics and get new rate
  * const newRate = controller.update(errorRate, p95Latency);
+ *
+ * // Restart from the last learned rate instead of initialRate; the older
+ * // the snapshot, the closer the rate moves back to initialRate
+ * controller.restore(controller.snapshot());
  */
 
+import { systemClock } from './Clock.js';
+
 export class AIMDController {
   constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
     // Rate limits
     this.currentRate = options.initialRate || 5;
     this.minRate = options.minRate || 1;
@@ -30,11 +47,30 @@ export class AIMDController {
     // Thresholds for triggering decrease
     this.errorThreshold = options.errorThreshold || 0.05; // 5% error rate
     this.latencyThreshold = options.latencyThreshold || 400; // 400ms p95
+
+    // Thresholds for allowing increase (defaults: same as decrease, no dead band)
+    this.increaseErrorThreshold = options.increaseErrorThreshold ?? this.errorThreshold;
+    this.increaseLatencyThreshold = options.increaseLatencyThreshold ?? this.latencyThreshold;
+
+    // No further decrease until this long after the last one
+    this.cooldownMs = options.cooldownMs ?? 30000; // 30 seconds
+    this.lastDecreaseAt = null;
+
+    // EWMA weight of new inputs (0..1); 0 = use raw inputs
+    this.smoothing = options.smoothing || 0;
+    this.smoothedErrorRate = null;
+    this.smoothedLatency = null;
+    
+    // Age at which a restored rate is halfway back to initialRate
+    this.initialRate = this.currentRate;
+    this.restoreHalfLifeMs = options.restoreHalfLifeMs || 600000; // 10 minutes
     
     // Warmup configuration
     this.warmupDuration = options.warmupDuration || 60000; // 60 seconds
     this.warmupRate = options.warmupRate || 1;
-    this.startTime = Date.now();
+    this.warmupProfile = options.warmupProfile || 'flat';
+    this.warmupSteps = options.warmupSteps || 4; // For the 'steps' profile
+    this.startTime = this.clock.now();
     this.warmupComplete = false;
     
     // Rate change callback
@@ -46,8 +82,21 @@ export class AIMDController {
    */
   update(errorRate, p95Latency) {
     // Check if still in warmup
-    if (!this.warmupComplete && Date.now() - this.startTime < this.warmupDuration) {
-      return this.warmupRate;
+    if (this.isWarmingUp()) {
+      const rampRate = this.getWarmupRate();
+
+      // Rate reached so far is already too much: stop climbing and hold it
+      if (errorRate > this.errorThreshold || p95Latency > this.latencyThreshold) {
+        this.warmupComplete = true;
+        this.currentRate = Math.max(this.minRate, Math.floor(rampRate));
+        this.onRateChange(rampRate, this.currentRate, 'warmup_aborted', {
+          errorRate,
+          p95Latency
+        });
+        return this.currentRate;
+      }
+
+      return rampRate;
     }
     
     // Mark warmup as complete
@@ -57,14 +106,21 @@ export class AIMDController {
     }
     
     const oldRate = this.currentRate;
+    ({ errorRate, p95Latency } = this.smooth(errorRate, p95Latency));
     
     // Check if we should decrease (bad conditions)
     if (errorRate > this.errorThreshold || p95Latency > this.latencyThreshold) {
+      // Window may still hold errors from before the last decrease
+      if (this.isCoolingDown()) {
+        return this.currentRate;
+      }
+
       // Multiplicative decrease
       this.currentRate = Math.max(
         this.minRate,
         Math.floor(this.currentRate * this.multiplicativeFactor)
       );
+      this.lastDecreaseAt = this.clock.now();
       
       if (oldRate !== this.currentRate) {
         this.onRateChange(oldRate, this.currentRate, 'decrease', {
@@ -72,7 +128,10 @@ export class AIMDController {
           p95Latency
         });
       }
-    } else {
+    } else if (
+      errorRate <= this.increaseErrorThreshold &&
+      p95Latency <= this.increaseLatencyThreshold
+    ) {
       // Additive increase (stable conditions)
       this.currentRate = Math.min(
         this.maxRate,
@@ -90,12 +149,70 @@ export class AIMDController {
     return this.currentRate;
   }
 
+  /**
+   * Apply EWMA smoothing to the inputs (no-op when smoothing is 0)
+   */
+  smooth(errorRate, p95Latency) {
+    if (!this.smoothing) {
+      return { errorRate, p95Latency };
+    }
+
+    if (this.smoothedErrorRate === null) {
+      this.smoothedErrorRate = errorRate;
+      this.smoothedLatency = p95Latency;
+    } else {
+      this.smoothedErrorRate += this.smoothing * (errorRate - this.smoothedErrorRate);
+      this.smoothedLatency += this.smoothing * (p95Latency - this.smoothedLatency);
+    }
+
+    return { errorRate: this.smoothedErrorRate, p95Latency: this.smoothedLatency };
+  }
+
+  /**
+   * Check if a recent decrease still blocks another one
+   */
+  isCoolingDown() {
+    return this.lastDecreaseAt !== null &&
+      this.clock.now() - this.lastDecreaseAt < this.cooldownMs;
+  }
+
+  /**
+   * Check if the warmup window is still running
+   */
+  isWarmingUp() {
+    return !this.warmupComplete && this.clock.now() - this.startTime < this.warmupDuration;
+  }
+
+  /**
+   * Rate the warmup profile allows right now (warmupRate → initialRate)
+   */
+  getWarmupRate() {
+    const progress = Math.min(1, (this.clock.now() - this.startTime) / this.warmupDuration);
+    const from = this.warmupRate;
+    const to = this.currentRate;
+
+    switch (this.warmupProfile) {
+      case 'flat':
+        return from;
+      case 'linear':
+        return from + (to - from) * progress;
+      case 'exponential':
+        // Slow start: the rate grows by the same factor every instant
+        return from * Math.pow(to / from, progress);
+      case 'steps':
+        return from + (to - from) * Math.floor(progress * this.warmupSteps) / this.warmupSteps;
+      default:
+        // Custom profile: (progress, fromRate, toRate) => rate
+        return this.warmupProfile(progress, from, to);
+    }
+  }
+
   /**
    * Get current rate (considers warmup)
    */
   getCurrentRate() {
-    if (!this.warmupComplete && Date.now() - this.startTime < this.warmupDuration) {
-      return this.warmupRate;
+    if (this.isWarmingUp()) {
+      return this.getWarmupRate();
     }
     return this.currentRate;
   }
@@ -108,13 +225,44 @@ export class AIMDController {
     return this.currentRate;
   }
 
+  /**
+   * Serializable state for restore() after a restart
+   */
+  snapshot() {
+    return {
+      rate: this.currentRate,
+      lastDecreaseAt: this.lastDecreaseAt,
+      savedAt: this.clock.now()
+    };
+  }
+
+  /**
+   * Resume from snapshot(), decaying the saved rate toward initialRate by age
+   *
+   * Warmup still runs, but ramps to the restored rate.
+   */
+  restore(snapshot) {
+    if (!snapshot) return this.currentRate;
+
+    const ageMs = Math.max(0, this.clock.now() - snapshot.savedAt);
+    const weight = Math.pow(0.5, ageMs / this.restoreHalfLifeMs);
+    const rate = this.initialRate + (snapshot.rate - this.initialRate) * weight;
+
+    this.currentRate = Math.max(this.minRate, Math.min(this.maxRate, Math.round(rate)));
+    this.lastDecreaseAt = snapshot.lastDecreaseAt ?? null;
+    return this.currentRate;
+  }
+
   /**
    * Reset controller to initial state
    */
   reset() {
     this.currentRate = this.minRate;
     this.warmupComplete = false;
-    this.startTime = Date.now();
+    this.startTime = this.clock.now();
+    this.lastDecreaseAt = null;
+    this.smoothedErrorRate = null;
+    this.smoothedLatency = null;
   }
 
   /**
@@ -123,7 +271,10 @@ export class AIMDController {
   getState() {
     return {
       currentRate: this.getCurrentRate(),
-      isWarmup: !this.warmupComplete && Date.now() - this.startTime < this.warmupDuration,
+      isWarmup: this.isWarmingUp(),
+      isCoolingDown: this.isCoolingDown(),
+      smoothedErrorRate: this.smoothedErrorRate,
+      smoothedLatency: this.smoothedLatency,
       minRate: this.minRate,
       maxRate: this.maxRate
     };
@@ -0,0 +1,242 @@
+/**
+ * Adaptive Rate Limiter
+ *
+ * Wires SlidingWindow → AIMDController → TokenBucket together and runs the
+ * control loop on its own schedule, replacing the hand-written controller()
+ * loops in the demos:
+ * - Warmup: the bucket runs at the controller's warmup rate, and the first
+ *   update fires right when warmup ends; ramped profiles are re-applied
+ *   every warmupIntervalMs so the bucket follows the curve
+ * - Every intervalMs: feed window error rate + p95 to the controller and
+ *   push the new rate into the bucket
+ * - While the breaker is HalfOpen: cap the bucket at its probe rate
+ * - While the server advertises a limit (ServerThrottle): cap at that rate
+ *
+ * Usage:
+ * const limiter = new AdaptiveRateLimiter({
+ *   aimd: { initialRate: 5, maxRate: 20, warmupDuration: 60000 },
+ *   breaker,                 // Optional CircuitBreaker
+ *   throttle,                // Optional ServerThrottle
+ *   intervalMs: 30000
+ * });
+ * limiter.start();
+ *
+ * await limiter.take();
+ * limiter.record(latencyMs, ok);
+ *
+ * limiter.stop();            // On shutdown
+ */
+
+import { systemClock } from './Clock.js';
+import { AIMDController } from './AIMDController.js';
+import { SlidingWindow } from './SlidingWindow.js';
+import { TokenBucket } from './TokenBucket.js';
+
+export class AdaptiveRateLimiter {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
+    // Components (pass your own instances, or options to build them)
+    this.window = options.window || new SlidingWindow({
+      windowMs: options.windowMs || 30000,
+      clock: this.clock
+    });
+    // Cooldown defaults to one window, so each decrease sees only fresh samples
+    this.controller = options.controller || new AIMDController({
+      cooldownMs: options.windowMs || 30000,
+      ...options.aimd,
+      clock: this.clock
+    });
+    this.bucket = options.bucket || new TokenBucket({
+      rate: this.controller.getCurrentRate(),
+      burst: options.burst,
+      clock: this.clock
+    });
+    this.breaker = options.breaker || null;
+    this.throttle = options.throttle || null;
+
+    // Control loop period
+    this.intervalMs = options.intervalMs || 30000; // 30 seconds
+    this.warmupIntervalMs = options.warmupIntervalMs || 1000; // While ramping
+
+    this.timer = null;
+    this.running = false;
+
+    // Callbacks: onRateChange(oldRate, newRate, reason), onError(error) for
+    // anything a control step or onRateChange throws (the loop keeps running)
+    this.onRateChange = options.onRateChange || (() => {});
+    this.onError = options.onError || (() => {});
+  }
+
+  /**
+   * Start the control loop
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.applyRate('start');
+    this.scheduleTick();
+  }
+
+  /**
+   * Stop the control loop (the bucket keeps its last rate)
+   */
+  stop() {
+    this.running = false;
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Wait for `cost` tokens (same arguments as TokenBucket.take)
+   */
+  take(cost, options) {
+    // Warmup and caps can change between ticks; keep the bucket current
+    this.applyRate(this.betweenTicksReason());
+    return this.bucket.take(cost, options);
+  }
+
+  /**
+   * Take tokens without waiting (same arguments as TokenBucket.tryTake)
+   */
+  tryTake(cost) {
+    this.applyRate(this.betweenTicksReason());
+    return this.bucket.tryTake(cost);
+  }
+
+  /**
+   * Record one request's outcome for the control loop
+   */
+  record(latencyMs, success) {
+    this.window.record(latencyMs, success);
+  }
+
+  /**
+   * Run one control step now
+   */
+  tick() {
+    this.controller.update(this.window.getErrorRate(), this.window.getP95Latency());
+    // Still ramping after the update (errors end the ramp early)
+    this.applyRate(this.isRamping() ? 'warmup' : 'update');
+  }
+
+  /**
+   * Why the rate moved since the last tick: the warmup curve, or a cap
+   * (HalfOpen probe limit, server ceiling) that has come off. A cap that
+   * still applies reports its own reason, see applyRate().
+   */
+  betweenTicksReason() {
+    const controller = this.controller;
+    if (controller.isWarmingUp?.() || controller.warmupComplete === false) {
+      return 'warmup';
+    }
+    return 'cap_lifted';
+  }
+
+  /**
+   * Push the controller's rate (capped while HalfOpen or server-limited)
+   * into the bucket
+   */
+  applyRate(reason) {
+    let rate = this.controller.getCurrentRate();
+
+    const probeLimit = this.breaker ? this.breaker.getHalfOpenRateLimit() : null;
+    if (probeLimit !== null) {
+      rate = Math.min(rate, probeLimit);
+      reason = 'half_open_cap';
+    }
+
+    const serverLimit = this.throttle ? this.throttle.getRateCeiling() : null;
+    if (serverLimit !== null && serverLimit < rate) {
+      rate = serverLimit;
+      reason = 'server_limit';
+    }
+
+    const oldRate = this.bucket.rate;
+    if (rate !== oldRate) {
+      this.bucket.setRate(rate);
+      // A throwing callback must not fail take() or stop the loop
+      try {
+        this.onRateChange(oldRate, rate, reason);
+      } catch (error) {
+        this.reportError(error);
+      }
+    }
+  }
+
+  /**
+   * Get current rate (what the bucket enforces)
+   */
+  getCurrentRate() {
+    return this.bucket.rate;
+  }
+
+  /**
+   * Get number of take() calls waiting for a token
+   */
+  getWaitingCount(priority) {
+    return this.bucket.getWaitingCount(priority);
+  }
+
+  /**
+   * Get limiter state info
+   */
+  getState() {
+    return {
+      running: this.running,
+      rate: this.bucket.rate,
+      waiting: this.getWaitingCount(),
+      controller: this.controller.getState(),
+      breaker: this.breaker ? this.breaker.getState().state : null,
+      metrics: {
+        requestCount: this.window.getRequestCount(),
+        errorRate: this.window.getErrorRate(),
+        p95Latency: this.window.getP95Latency()
+      }
+    };
+  }
+
+  reportError(error) {
+    try {
+      this.onError(error);
+    } catch {
+      // Nothing left to report to
+    }
+  }
+
+  isRamping() {
+    const controller = this.controller;
+    return controller.warmupProfile !== undefined &&
+      controller.warmupProfile !== 'flat' &&
+      controller.isWarmingUp();
+  }
+
+  scheduleTick() {
+    // Wake up exactly at the end of warmup, then every intervalMs
+    let delay = this.intervalMs;
+    const controller = this.controller;
+    if (!controller.warmupComplete && controller.warmupDuration !== undefined) {
+      const remaining = controller.startTime + controller.warmupDuration - this.clock.now();
+      if (remaining > 0) delay = Math.min(delay, remaining);
+    }
+    if (this.isRamping()) {
+      delay = Math.min(delay, this.warmupIntervalMs);
+    }
+
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      if (!this.running) return;
+      try {
+        this.tick();
+      } catch (error) {
+        // A throwing controller or window must not end the control loop
+        this.reportError(error);
+      }
+      this.scheduleTick();
+    }, delay);
+  }
+}
+
+export default AdaptiveRateLimiter;
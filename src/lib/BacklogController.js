@@ -0,0 +1,184 @@
+/**
+ * Backlog Drain Controller
+ *
+ * Rate control with a goal: "drain these 5000 messages within 20 minutes".
+ * The rate needed to hit the deadline is depth / time left, clamped
+ * between a floor and the AIMD controller's current rate, so the error
+ * and latency limits AIMD has learned are never exceeded to make a
+ * deadline. If even the AIMD rate is too slow, getState() reports the
+ * deadline as missed and the estimated time to drain.
+ *
+ * Same interface as AIMDController (update / getCurrentRate / setRate /
+ * reset / getState / onRateChange), so it drops into AdaptiveRateLimiter.
+ *
+ * Usage:
+ * const controller = new BacklogController({
+ *   aimd: { initialRate: 5, maxRate: 20 },
+ *   getDepth: () => queue.size + queue.pending,
+ *   floorRate: 1                       // Keep live traffic moving
+ * });
+ * controller.drainWithin(20 * 60000);
+ *
+ * const limiter = new AdaptiveRateLimiter({ controller });
+ * controller.getState().estimatedDrainMs;
+ */
+
+import { systemClock } from './Clock.js';
+import { AIMDController } from './AIMDController.js';
+
+export class BacklogController {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
+    // AIMD supplies the safe ceiling (pass an instance or its options)
+    this.aimd = options.aimd instanceof AIMDController
+      ? options.aimd
+      : new AIMDController({ ...options.aimd, clock: this.clock });
+
+    // Rate kept even when the backlog is empty (default: AIMD minRate)
+    this.floorRate = options.floorRate ?? this.aimd.minRate;
+
+    // Backlog size: pushed with setDepth(), or pulled from getDepth()
+    this.getDepth = options.getDepth || null;
+    this.depth = 0;
+
+    // Absolute deadline (clock ms); null = no target, run at the AIMD rate
+    this.deadline = null;
+    if (options.targetDrainMs) {
+      this.drainWithin(options.targetDrainMs);
+    }
+
+    this.lastRate = null;
+
+    // Rate change callback
+    this.onRateChange = options.onRateChange || (() => {});
+  }
+
+  /**
+   * Set the drain target relative to now
+   */
+  drainWithin(ms) {
+    this.deadline = this.clock.now() + ms;
+  }
+
+  /**
+   * Set the drain target as an absolute time (null clears it)
+   */
+  setDeadline(timestamp) {
+    this.deadline = timestamp === null ? null : Number(timestamp);
+  }
+
+  /**
+   * Report current backlog size (when not using getDepth)
+   */
+  setDepth(depth) {
+    this.depth = depth;
+  }
+
+  /**
+   * Update AIMD with current metrics and return the drain rate
+   *
+   * Healthy metrics only reach AIMD while we run at its ceiling: a quiet
+   * server at 2 RPS says nothing about 20 RPS, so an untested ceiling
+   * must not keep climbing. Bad metrics always go through.
+   */
+  update(errorRate, p95Latency) {
+    const healthy = errorRate <= this.aimd.errorThreshold && p95Latency <= this.aimd.latencyThreshold;
+    if (!healthy || this.getCurrentRate() >= this.aimd.getCurrentRate()) {
+      this.aimd.update(errorRate, p95Latency);
+    }
+
+    const oldRate = this.lastRate;
+    const rate = this.getCurrentRate();
+    this.lastRate = rate;
+
+    if (oldRate !== null && oldRate !== rate) {
+      this.onRateChange(oldRate, rate, 'backlog', {
+        errorRate,
+        p95Latency,
+        depth: this.getBacklog(),
+        requiredRate: this.getRequiredRate()
+      });
+    }
+
+    return rate;
+  }
+
+  /**
+   * Rate to run at: the required rate, within [floorRate, AIMD rate]
+   */
+  getCurrentRate() {
+    const ceiling = this.aimd.getCurrentRate();
+    const required = this.getRequiredRate();
+    if (required === null) return ceiling;
+
+    return Math.min(ceiling, Math.max(this.floorRate, required));
+  }
+
+  /**
+   * Rate needed to drain by the deadline (Infinity once it has passed,
+   * null without a deadline)
+   */
+  getRequiredRate() {
+    if (this.deadline === null) return null;
+
+    const depth = this.getBacklog();
+    if (depth <= 0) return 0;
+
+    const remainingMs = this.deadline - this.clock.now();
+    if (remainingMs <= 0) return Infinity;
+    return depth / (remainingMs / 1000);
+  }
+
+  /**
+   * Current backlog size
+   */
+  getBacklog() {
+    return this.getDepth ? this.getDepth() : this.depth;
+  }
+
+  /**
+   * Time to drain the backlog at the current rate (ms)
+   */
+  getEstimatedDrainMs() {
+    const depth = this.getBacklog();
+    if (depth <= 0) return 0;
+
+    const rate = this.getCurrentRate();
+    return rate > 0 ? Math.ceil((depth / rate) * 1000) : Infinity;
+  }
+
+  /**
+   * Force set the AIMD rate (bypasses AIMD logic)
+   */
+  setRate(rate) {
+    return this.aimd.setRate(rate);
+  }
+
+  /**
+   * Reset controller to initial state (keeps the deadline)
+   */
+  reset() {
+    this.aimd.reset();
+    this.lastRate = null;
+  }
+
+  /**
+   * Get controller state
+   */
+  getState() {
+    const estimatedDrainMs = this.getEstimatedDrainMs();
+    return {
+      currentRate: this.getCurrentRate(),
+      requiredRate: this.getRequiredRate(),
+      ceilingRate: this.aimd.getCurrentRate(),
+      depth: this.getBacklog(),
+      deadline: this.deadline,
+      estimatedDrainMs,
+      onTrack: this.deadline === null || this.clock.now() + estimatedDrainMs <= this.deadline,
+      aimd: this.aimd.getState()
+    };
+  }
+}
+
+export default BacklogController;
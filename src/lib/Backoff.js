@@ -0,0 +1,140 @@
+/**
+ * Backoff Policies and Jitter
+ *
+ * Pure functions behind RetryStrategy's delays. A policy gives the delay
+ * curve before jitter; jitter spreads retries out so messages that failed
+ * together don't retry together. Nothing here keeps state: decorrelated
+ * jitter takes the previous delay as an argument, which the caller keeps
+ * per execution.
+ *
+ * Policies (attempt 1, 2, 3, ... × baseDelayMs):
+ * - exponential: 1, 2, 4, 8 (× exponentialBase^n)
+ * - linear:      1, 2, 3, 4
+ * - fibonacci:   1, 1, 2, 3, 5
+ * - constant:    1, 1, 1, 1
+ * - or a function (attempt, options) => ms
+ *
+ * Jitter (d = policy delay, capped at maxDelayMs):
+ * - none:         d
+ * - random:       d + random(0, jitterMs)
+ * - full:         random(0, d)
+ * - equal:        d/2 + random(0, d/2)
+ * - decorrelated: random(baseDelayMs, previousDelay × 3), ignores the policy
+ *
+ * Usage:
+ * const d = getPolicyDelay('fibonacci', attempt, { baseDelayMs: 1000 });
+ * const delayMs = applyJitter('equal', d, { random: Math.random });
+ */
+
+export const backoffPolicies = {
+  exponential: (attempt, options) => options.baseDelayMs * Math.pow(options.exponentialBase, attempt - 1),
+  linear: (attempt, options) => options.baseDelayMs * attempt,
+  fibonacci: (attempt, options) => options.baseDelayMs * fibonacci(attempt),
+  constant: (attempt, options) => options.baseDelayMs
+};
+
+/**
+ * Delay before jitter for an attempt, capped at maxDelayMs
+ */
+export function getPolicyDelay(policy, attempt, options = {}) {
+  const {
+    baseDelayMs = 1000,
+    maxDelayMs = Infinity,
+    exponentialBase = 2
+  } = options;
+
+  const fn = typeof policy === 'function' ? policy : backoffPolicies[policy];
+  if (!fn) {
+    throw new RangeError(`Unknown backoff policy: ${policy}`);
+  }
+
+  const delay = fn(attempt, { baseDelayMs, maxDelayMs, exponentialBase });
+  return Math.min(Math.max(0, delay), maxDelayMs);
+}
+
+/**
+ * Apply a jitter type to a policy delay
+ */
+export function applyJitter(jitterType, delayMs, options = {}) {
+  const {
+    random = Math.random,
+    jitterMs = 1000,
+    baseDelayMs = 1000,
+    maxDelayMs = Infinity,
+    previousDelay = baseDelayMs
+  } = options;
+
+  let finalDelay;
+  switch (jitterType) {
+    case 'none':
+      finalDelay = delayMs;
+      break;
+
+    case 'full':
+      finalDelay = random() * delayMs;
+      break;
+
+    case 'equal':
+      finalDelay = delayMs / 2 + random() * (delayMs / 2);
+      break;
+
+    case 'decorrelated': {
+      const upper = Math.max(baseDelayMs, previousDelay * 3);
+      finalDelay = baseDelayMs + random() * (upper - baseDelayMs);
+      break;
+    }
+
+    case 'random':
+    default:
+      finalDelay = delayMs + random() * jitterMs;
+      break;
+  }
+
+  return Math.min(Math.floor(finalDelay), maxDelayMs);
+}
+
+/**
+ * Range and mean of applyJitter() for a policy delay
+ *
+ * For decorrelated jitter pass the previous attempt's range; the mean is
+ * an approximation once the cap is reached.
+ */
+export function jitterRange(jitterType, delayMs, options = {}) {
+  const {
+    jitterMs = 1000,
+    baseDelayMs = 1000,
+    maxDelayMs = Infinity,
+    previous = { min: baseDelayMs, mean: baseDelayMs, max: baseDelayMs }
+  } = options;
+  const cap = value => Math.min(value, maxDelayMs);
+
+  switch (jitterType) {
+    case 'none':
+      return { min: cap(delayMs), mean: cap(delayMs), max: cap(delayMs) };
+
+    case 'full':
+      return { min: 0, mean: delayMs / 2, max: delayMs };
+
+    case 'equal':
+      return { min: delayMs / 2, mean: delayMs * 0.75, max: delayMs };
+
+    case 'decorrelated':
+      return {
+        min: cap(baseDelayMs),
+        mean: (baseDelayMs + cap(Math.max(baseDelayMs, previous.mean * 3))) / 2,
+        max: cap(Math.max(baseDelayMs, previous.max * 3))
+      };
+
+    case 'random':
+    default:
+      return { min: cap(delayMs), mean: cap(delayMs + jitterMs / 2), max: cap(delayMs + jitterMs) };
+  }
+}
+
+function fibonacci(n) {
+  let [a, b] = [1, 1];
+  for (let i = 2; i < n; i++) {
+    [a, b] = [b, a + b];
+  }
+  return n <= 2 ? 1 : b;
+}
@@ -10,97 +10,460 @@
  *     await makeRequest();
  *     breaker.onSuccess();
  *   } catch (error) {
- *     breaker.onFailure();
+ *     breaker.onFailure(error);
  *   }
  * }
+ *
+ * // Permit API: in HalfOpen only halfOpenMaxProbes calls get through at once
+ * const permit = breaker.acquire();
+ * if (permit) {
+ *   try {
+ *     await makeRequest();
+ *     permit.onSuccess();
+ *   } catch (error) {
+ *     permit.onFailure(error);
+ *   }
+ * }
+ *
+ * // Trip on failure rate instead of consecutive failures:
+ * // open when >= 40% of the last 60s of requests failed (min 20 requests)
+ * const breaker = new CircuitBreaker({
+ *   tripMode: 'failureRate',
+ *   failureRateThreshold: 0.4,
+ *   minimumRequests: 20,
+ *   windowType: 'time',      // or 'count' with windowSize: 100
+ *   windowMs: 60000
+ * });
+ *
+ * // Each re-open after a failed probe doubles the open duration (up to
+ * // maxOpenDurationMs), minus up to 20% random jitter per instance so a
+ * // fleet that tripped together does not probe together
+ * const breaker = new CircuitBreaker({
+ *   openDurationMs: 30000,
+ *   openBackoffMultiplier: 2,
+ *   maxOpenDurationMs: 300000,
+ *   openJitter: 0.2
+ * });
+ *
+ * // Latency collapse: calls over 2s count as failures...
+ * const breaker = new CircuitBreaker({ slowCallDurationMs: 2000 });
+ * breaker.onSuccess(latencyMs);
+ * // ...or open once 50% of recent calls are slow
+ * const breaker = new CircuitBreaker({ slowCallDurationMs: 2000, slowCallRateThreshold: 0.5 });
+ *
+ * // Only failures the classifier calls 'retryable' count against the
+ * // server: 400 validation errors, 429 throttling and aborts do not
+ * const breaker = new CircuitBreaker({
+ *   classifier: new ErrorClassifier({ statusOverrides: { 404: 'ignored' } }),
+ *   failureCategories: ['retryable']
+ * });
+ *
+ * // Manual override during incidents (automatic transitions can't undo it)
+ * breaker.forceOpen('chat server maintenance', Date.now() + 15 * 60000);
+ * breaker.forceClosed('false positives from monitoring');
+ * breaker.clearOverride(); // back to automatic control
+ *
+ * // Restarts keep honoring an open breaker (see StateFile)
+ * const saved = breaker.snapshot();
+ * breaker.restore(saved);
  */
 
+import { systemClock } from './Clock.js';
+import { SlidingWindow } from './SlidingWindow.js';
+import { toClassifier } from './ErrorClassifier.js';
+
 export class CircuitBreaker {
   constructor(options = {}) {
+    this.clock = options.clock || systemClock;
     this.state = 'Closed';
     this.openedAt = 0;
-    this.halfOpenUntil = 0;
     this.consecutiveFailures = 0;
     
+    // Re-opens since the breaker last closed, and the duration chosen for this open
+    this.reopenCount = 0;
+    this.currentOpenDurationMs = 0;
+    
+    // HalfOpen probe tracking
+    this.probesInFlight = 0;
+    this.halfOpenSuccesses = 0;
+    
+    // Bumped on every transition so permits from an earlier state are ignored
+    this.generation = 0;
+    
+    // Manual override: { mode: 'open' | 'closed', reason, until } or null
+    this.override = null;
+    
     // Configurable thresholds
     this.failureThreshold = options.failureThreshold || 10;
     this.openDurationMs = options.openDurationMs || 30000; // 30 seconds
-    this.halfOpenDurationMs = options.halfOpenDurationMs || 10000; // 10 seconds
+    this.openBackoffMultiplier = options.openBackoffMultiplier || 2;
+    this.maxOpenDurationMs = options.maxOpenDurationMs || 300000; // 5 minutes
+    this.openJitter = options.openJitter ?? 0.2; // Fraction shaved off at random
     this.halfOpenProbeLimit = options.halfOpenProbeLimit || 3; // RPS during probe
+    this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1; // Concurrent probes
+    this.halfOpenSuccessThreshold = options.halfOpenSuccessThreshold || 3; // Successes to close
+    
+    // Tripping mode: 'consecutive' (failureThreshold in a row) or 'failureRate'
+    this.tripMode = options.tripMode || 'consecutive';
+    this.failureRateThreshold = options.failureRateThreshold || 0.5; // 50%
+    this.minimumRequests = options.minimumRequests || 20;
+    
+    // Slow calls: at or above slowCallDurationMs (null = disabled).
+    // Without slowCallRateThreshold a slow call counts as a failure.
+    this.slowCallDurationMs = options.slowCallDurationMs ?? null;
+    this.slowCallRateThreshold = options.slowCallRateThreshold ?? null;
+    
+    // Which errors count as failures (see ErrorClassifier)
+    this.classifier = toClassifier(options.classifier);
+    this.failureCategories = options.failureCategories || ['retryable'];
+    
+    // Rolling window for failureRate / slow-call-rate checks: last windowMs, or last windowSize calls
+    this.windowType = options.windowType || 'time';
+    this.window = new SlidingWindow({
+      windowMs: this.windowType === 'count' ? Infinity : (options.windowMs || 60000),
+      maxSamples: this.windowType === 'count' ? (options.windowSize || 100) : Infinity,
+      clock: this.clock
+    });
     
-    // Callbacks
+    // Callbacks: onStateChange(oldState, newState, reason)
     this.onStateChange = options.onStateChange || (() => {});
   }
 
   /**
    * Check if requests should be blocked
+   *
+   * Does not reserve a probe slot; prefer acquire() so HalfOpen probing
+   * is actually limited.
    */
   shouldBlock() {
-    const now = Date.now();
+    this.checkOverrideExpiry();
+    this.checkOpenTimeout();
+    return this.isBlocking();
+  }
+
+  /**
+   * Ask permission for one request
+   *
+   * Returns a permit to settle with onSuccess()/onFailure() (or release()
+   * if the request never ran), or null if the request must not be sent.
+   */
+  acquire() {
+    this.checkOverrideExpiry();
+    this.checkOpenTimeout();
+    if (this.isBlocking()) return null;
     
-    if (this.state === 'Open') {
-      // Check if it's time to try again
-      if (now - this.openedAt >= this.openDurationMs) {
-        this.transition('HalfOpen');
-        this.halfOpenUntil = now + this.halfOpenDurationMs;
-        this.consecutiveFailures = 0;
-      } else {
-        return true; // Block request
-      }
+    const probe = this.state === 'HalfOpen';
+    if (probe) this.probesInFlight++;
+    
+    return new Permit(this, this.generation, probe, this.clock.now());
+  }
+
+  /**
+   * Move Open -> HalfOpen once the open duration has passed
+   */
+  checkOpenTimeout() {
+    if (this.getActiveOverride()) return;
+    
+    if (this.state === 'Open' && this.clock.now() - this.openedAt >= this.currentOpenDurationMs) {
+      this.transition('HalfOpen', 'open_timeout');
+      this.consecutiveFailures = 0;
     }
+  }
+
+  /**
+   * Whether a request would be blocked right now (no side effects)
+   */
+  isBlocking() {
+    const override = this.getActiveOverride();
+    if (override) return override.mode === 'open';
+    
+    // Lapsed but not yet cleared: clearOverride() will leave us in HalfOpen
+    // with no probes in flight, or Closed
+    if (this.override) return false;
     
+    if (this.state === 'Open') {
+      return this.clock.now() - this.openedAt < this.currentOpenDurationMs;
+    }
+    if (this.state === 'HalfOpen') {
+      return this.probesInFlight >= this.halfOpenMaxProbes;
+    }
     return false;
   }
 
   /**
-   * Record successful request
+   * Record successful request (pass its duration to enable slow-call checks)
    */
-  onSuccess() {
+  onSuccess(durationMs = 0) {
+    this.checkOverrideExpiry();
+    const slow = this.isSlowCall(durationMs);
+    
+    // A slow call is a failure, unless we trip on slow-call rate instead
+    // (a slow probe always fails the probe)
+    if (slow && (this.slowCallRateThreshold === null || this.state === 'HalfOpen')) {
+      this.recordFailure(durationMs);
+      return;
+    }
+    
     this.consecutiveFailures = 0;
     
-    if (this.state === 'HalfOpen' && Date.now() > this.halfOpenUntil) {
-      // Probe period successful, close the breaker
-      this.transition('Closed');
+    if (this.state === 'Closed') {
+      this.window.record(durationMs, true);
+      
+      const reason = this.shouldTrip();
+      if (reason) this.open(reason);
+    } else if (this.state === 'HalfOpen') {
+      this.halfOpenSuccesses++;
+      if (this.halfOpenSuccesses >= this.halfOpenSuccessThreshold) {
+        // Enough probes succeeded, close the breaker
+        this.transition('Closed', 'probe_succeeded');
+      }
     }
   }
 
   /**
    * Record failed request
+   *
+   * The error (or response) is classified first; outcomes outside
+   * failureCategories are not held against the server.
    */
-  onFailure() {
+  onFailure(error = null, durationMs = 0) {
+    this.checkOverrideExpiry();
+    if (!this.isFailure(error)) return;
+    this.recordFailure(durationMs);
+  }
+
+  /**
+   * Whether the classifier puts this error in failureCategories
+   */
+  isFailure(error) {
+    return this.failureCategories.includes(this.classifier.classify(error));
+  }
+
+  recordFailure(durationMs) {
     this.consecutiveFailures++;
     
-    if (this.state === 'Closed' && this.consecutiveFailures >= this.failureThreshold) {
-      // Too many failures, open the breaker
-      this.transition('Open');
-      this.openedAt = Date.now();
+    if (this.state === 'Closed') {
+      this.window.record(durationMs, false);
+      
+      const reason = this.shouldTrip();
+      if (reason) {
+        // Too many failures, open the breaker
+        this.open(reason);
+      }
     } else if (this.state === 'HalfOpen') {
-      // Probe failed, reopen the breaker
-      this.transition('Open');
-      this.openedAt = Date.now();
+      // Probe failed, reopen the breaker for longer
+      this.reopenCount++;
+      this.open('probe_failed');
+    }
+  }
+
+  /**
+   * Open the breaker with a backed-off, jittered duration
+   */
+  open(reason) {
+    // Failures are still counted, but an override pins the state
+    if (this.getActiveOverride()) return;
+    
+    this.openedAt = this.clock.now();
+    this.currentOpenDurationMs = this.nextOpenDuration();
+    this.transition('Open', reason);
+  }
+
+  /**
+   * Open duration for the current re-open count
+   *
+   * openDurationMs × multiplier^reopenCount, capped, then reduced by a
+   * random fraction of up to openJitter (never exceeds the cap).
+   */
+  nextOpenDuration() {
+    const backedOff = Math.min(
+      this.openDurationMs * Math.pow(this.openBackoffMultiplier, this.reopenCount),
+      this.maxOpenDurationMs
+    );
+    return Math.floor(backedOff * (1 - this.openJitter * this.clock.random()));
+  }
+
+  /**
+   * Check the trip condition for the configured mode
+   * Returns the reason to open, or null to stay closed
+   */
+  shouldTrip() {
+    const enoughRequests = this.window.getRequestCount() >= this.minimumRequests;
+    
+    if (this.slowCallRateThreshold !== null && this.slowCallDurationMs !== null && enoughRequests &&
+        this.window.getSlowRate(this.slowCallDurationMs) >= this.slowCallRateThreshold) {
+      return 'slow_call_rate';
+    }
+    
+    if (this.tripMode === 'failureRate') {
+      if (!enoughRequests) return null;
+      return this.window.getErrorRate() >= this.failureRateThreshold ? 'failure_rate' : null;
+    }
+    
+    return this.consecutiveFailures >= this.failureThreshold ? 'failure_threshold' : null;
+  }
+
+  /**
+   * Whether a call of this duration counts as slow
+   */
+  isSlowCall(durationMs) {
+    return this.slowCallDurationMs !== null && durationMs >= this.slowCallDurationMs;
+  }
+
+  /**
+   * Force the breaker open until clearOverride() or `until` (timestamp ms)
+   */
+  forceOpen(reason = 'manual', until = null) {
+    this.override = { mode: 'open', reason, until: until === null ? null : Number(until) };
+    this.openedAt = this.clock.now();
+    this.currentOpenDurationMs = Infinity;
+    this.transition('Open', 'forced_open');
+  }
+
+  /**
+   * Force the breaker closed until clearOverride() or `until` (timestamp ms)
+   */
+  forceClosed(reason = 'manual', until = null) {
+    this.override = { mode: 'closed', reason, until: until === null ? null : Number(until) };
+    this.consecutiveFailures = 0;
+    this.transition('Closed', 'forced_closed');
+  }
+
+  /**
+   * Return to automatic control
+   *
+   * Leaving a forced open goes through HalfOpen so the server is probed
+   * before full traffic resumes.
+   */
+  clearOverride(reason = 'override_cleared') {
+    if (!this.override) return;
+    
+    const { mode } = this.override;
+    this.override = null;
+    this.consecutiveFailures = 0;
+    this.transition(mode === 'open' ? 'HalfOpen' : 'Closed', reason);
+  }
+
+  /**
+   * Current override, or null if none or expired (no side effects)
+   */
+  getActiveOverride() {
+    if (!this.override) return null;
+    if (this.override.until !== null && this.clock.now() >= this.override.until) return null;
+    return this.override;
+  }
+
+  /**
+   * Drop an override whose `until` has passed
+   */
+  checkOverrideExpiry() {
+    if (this.override && !this.getActiveOverride()) {
+      this.clearOverride('override_expired');
     }
   }
 
   /**
    * Transition to new state
    */
-  transition(newState) {
+  transition(newState, reason = null) {
     const oldState = this.state;
     this.state = newState;
-    this.onStateChange(oldState, newState);
+    this.generation++;
+    this.probesInFlight = 0;
+    this.halfOpenSuccesses = 0;
+    
+    // Each Closed period starts with a fresh window
+    if (newState === 'Closed' || newState === 'Open') {
+      this.window.reset();
+    }
+    
+    // Successful recovery resets the open backoff
+    if (newState === 'Closed') {
+      this.reopenCount = 0;
+    }
+    
+    this.onStateChange(oldState, newState, reason);
   }
 
   /**
-   * Get current state info
+   * Get current state info (applies a lapsed override first, so an
+   * expired forceOpen doesn't keep reporting Open until traffic arrives)
    */
   getState() {
+    this.checkOverrideExpiry();
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureRate: this.window.getErrorRate(),
+      slowCallRate: this.slowCallDurationMs !== null
+        ? this.window.getSlowRate(this.slowCallDurationMs)
+        : 0,
+      windowRequests: this.window.getRequestCount(),
+      probesInFlight: this.probesInFlight,
+      halfOpenSuccesses: this.halfOpenSuccesses,
+      openDurationMs: this.currentOpenDurationMs,
+      reopenCount: this.reopenCount,
+      override: this.getActiveOverride(),
+      isBlocking: this.isBlocking()
+    };
+  }
+
+  /**
+   * Serializable state for restore() after a restart
+   *
+   * Timestamps come from the clock, so restore in a process using the
+   * same kind of clock (wall time for systemClock).
+   */
+  snapshot() {
     return {
       state: this.state,
+      openedAt: this.openedAt,
+      openDurationMs: Number.isFinite(this.currentOpenDurationMs) ? this.currentOpenDurationMs : null,
+      reopenCount: this.reopenCount,
       consecutiveFailures: this.consecutiveFailures,
-      isBlocking: this.shouldBlock()
+      override: this.getActiveOverride(),
+      savedAt: this.clock.now()
     };
   }
 
+  /**
+   * Resume from snapshot()
+   *
+   * An Open breaker stays open for the rest of its duration (then probes
+   * as usual); an expired override is dropped.
+   */
+  restore(snapshot) {
+    if (!snapshot) return;
+
+    const override = snapshot.override;
+    this.override = override && (override.until === null || override.until > this.clock.now())
+      ? { ...override }
+      : null;
+
+    if (snapshot.state === 'Closed') {
+      if (this.state !== 'Closed') this.transition('Closed', 'restored');
+      this.consecutiveFailures = snapshot.consecutiveFailures || 0;
+      return;
+    }
+
+    this.openedAt = snapshot.openedAt;
+    this.reopenCount = snapshot.reopenCount || 0;
+    this.consecutiveFailures = 0;
+
+    // A forced open (null duration, Infinity before JSON) whose override has
+    // lapsed is left the way clearOverride() leaves it: probing in HalfOpen
+    if (snapshot.state === 'Open' && snapshot.openDurationMs === null) {
+      if (!this.override) {
+        if (this.state !== 'HalfOpen') this.transition('HalfOpen', 'override_expired');
+        return;
+      }
+      this.currentOpenDurationMs = Infinity;
+    } else {
+      this.currentOpenDurationMs = snapshot.openDurationMs ?? 0;
+    }
+    if (this.state !== snapshot.state) this.transition(snapshot.state, 'restored');
+  }
+
   /**
    * Reset breaker to closed state
    */
@@ -108,7 +471,13 @@ export class CircuitBreaker {
     this.state = 'Closed';
     this.consecutiveFailures = 0;
     this.openedAt = 0;
-    this.halfOpenUntil = 0;
+    this.reopenCount = 0;
+    this.currentOpenDurationMs = 0;
+    this.override = null;
+    this.probesInFlight = 0;
+    this.halfOpenSuccesses = 0;
+    this.generation++;
+    this.window.reset();
   }
 
   /**
@@ -119,4 +488,51 @@ export class CircuitBreaker {
   }
 }
 
+/**
+ * Permission for one request, settled exactly once
+ */
+class Permit {
+  constructor(breaker, generation, probe, acquiredAt) {
+    this.breaker = breaker;
+    this.generation = generation;
+    this.probe = probe;
+    this.acquiredAt = acquiredAt;
+    this.settled = false;
+  }
+
+  /**
+   * Record success; duration defaults to the time since acquire()
+   */
+  onSuccess(durationMs = this.elapsed()) {
+    if (this.settle()) this.breaker.onSuccess(durationMs);
+  }
+
+  onFailure(error = null, durationMs = this.elapsed()) {
+    if (this.settle()) this.breaker.onFailure(error, durationMs);
+  }
+
+  elapsed() {
+    return this.breaker.clock.now() - this.acquiredAt;
+  }
+
+  /**
+   * Give the slot back without recording an outcome
+   */
+  release() {
+    this.settle();
+  }
+
+  /**
+   * Returns true if the outcome still applies to the breaker's current state
+   */
+  settle() {
+    if (this.settled) return false;
+    this.settled = true;
+    
+    const current = this.generation === this.breaker.generation;
+    if (current && this.probe) this.breaker.probesInFlight--;
+    return current;
+  }
+}
+
 export default CircuitBreaker;
\ No newline at end of file
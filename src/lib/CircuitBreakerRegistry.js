@@ -0,0 +1,112 @@
+/**
+ * Circuit Breaker Registry
+ *
+ * One CircuitBreaker per key (region, API route, ...), created on first use
+ * with shared default options, so a broken region only blocks its own
+ * traffic. All breakers report state changes through one event stream.
+ *
+ * Usage:
+ * const registry = new CircuitBreakerRegistry({
+ *   defaults: { failureThreshold: 5, openDurationMs: 30000 }
+ * });
+ * registry.on('stateChange', ({ key, from, to, reason }) => {
+ *   console.log(`${key}: ${from} → ${to} (${reason})`);
+ * });
+ *
+ * const permit = registry.get('eu-west/messages').acquire();
+ * const health = registry.getSnapshot(); // { total, states, healthyRatio, breakers }
+ */
+
+import { EventEmitter } from 'node:events';
+import { systemClock } from './Clock.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+
+export class CircuitBreakerRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.clock = options.clock || systemClock;
+    this.defaults = options.defaults || {};
+    this.breakers = new Map();
+
+    // Callbacks: onStateChange(key, oldState, newState, reason)
+    this.onStateChange = options.onStateChange || (() => {});
+  }
+
+  /**
+   * Get the breaker for a key (creates it if needed)
+   *
+   * `overrides` only apply when the breaker is first created.
+   */
+  get(key, overrides = {}) {
+    let breaker = this.breakers.get(key);
+    if (breaker) return breaker;
+
+    const options = { clock: this.clock, ...this.defaults, ...overrides };
+    const ownCallback = options.onStateChange || (() => {});
+
+    breaker = new CircuitBreaker({
+      ...options,
+      onStateChange: (from, to, reason) => {
+        ownCallback(from, to, reason);
+        this.onStateChange(key, from, to, reason);
+        this.emit('stateChange', { key, from, to, reason, at: this.clock.now() });
+      }
+    });
+
+    this.breakers.set(key, breaker);
+    return breaker;
+  }
+
+  /**
+   * Whether a breaker exists for the key
+   */
+  has(key) {
+    return this.breakers.has(key);
+  }
+
+  /**
+   * Forget a breaker (a later get() creates a fresh one)
+   */
+  delete(key) {
+    return this.breakers.delete(key);
+  }
+
+  /**
+   * All registered keys
+   */
+  keys() {
+    return [...this.breakers.keys()];
+  }
+
+  /**
+   * Aggregate health across all breakers
+   */
+  getSnapshot() {
+    const states = { Closed: 0, Open: 0, HalfOpen: 0 };
+    const breakers = {};
+
+    for (const [key, breaker] of this.breakers) {
+      const state = breaker.getState();
+      breakers[key] = state;
+      states[state.state] = (states[state.state] || 0) + 1;
+    }
+
+    const total = this.breakers.size;
+    return {
+      total,
+      states,
+      healthyRatio: total > 0 ? states.Closed / total : 1,
+      blocking: Object.keys(breakers).filter(key => breakers[key].isBlocking),
+      breakers
+    };
+  }
+
+  /**
+   * Reset every breaker to Closed
+   */
+  resetAll() {
+    for (const breaker of this.breakers.values()) breaker.reset();
+  }
+}
+
+export default CircuitBreakerRegistry;
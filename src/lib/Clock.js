@@ -0,0 +1,151 @@
+/**
+ * Clock, Scheduler and Random Source
+ *
+ * Every component in src/lib reads time, schedules timers and draws
+ * random numbers through a clock object instead of calling Date.now(),
+ * setTimeout and Math.random directly. Pass `clock` in the options to swap
+ * in a VirtualClock for deterministic tests.
+ *
+ * Clock interface:
+ * - now()                  current time in milliseconds
+ * - setTimeout(fn, ms)     schedule a callback, returns a handle
+ * - clearTimeout(handle)   cancel a scheduled callback
+ * - random()               float in [0, 1)
+ *
+ * Usage:
+ * const clock = new VirtualClock();
+ * const controller = new AIMDController({ clock });
+ * await clock.advance(60000); // 60 seconds of warmup, instantly
+ */
+
+import { abortReason } from './errors.js';
+
+/**
+ * Real wall-clock time, timers and Math.random
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  random: () => Math.random()
+};
+
+/**
+ * Sleep for `ms` milliseconds on the given clock
+ *
+ * Rejects with the signal's reason as soon as `signal` aborts.
+ */
+export function sleep(ms, clock = systemClock, signal) {
+  if (!signal) {
+    return new Promise(resolve => clock.setTimeout(resolve, ms));
+  }
+  if (signal.aborted) {
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clock.clearTimeout(handle);
+      reject(abortReason(signal));
+    };
+    const handle = clock.setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Manually driven clock for tests and simulations
+ *
+ * Time only moves when advance() is called. Timers fire in due order, and
+ * pending promise callbacks are flushed between timers so async code that
+ * reacts to one timer can schedule the next one within the same advance().
+ */
+export class VirtualClock {
+  constructor(options = {}) {
+    this.currentTime = options.startTime || 0;
+    this.timers = [];
+    this.nextId = 1;
+
+    // Seeded PRNG (mulberry32) so jitter is reproducible
+    this.seed = (options.seed ?? 1) >>> 0;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const id = this.nextId++;
+    this.timers.push({ id, fn, at: this.currentTime + Math.max(0, ms) });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(t => t.id !== id);
+  }
+
+  random() {
+    let t = (this.seed = (this.seed + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Move time forward, firing every timer that falls due
+   */
+  async advance(ms) {
+    const target = this.currentTime + ms;
+    await flushPromises();
+
+    for (;;) {
+      const next = this.nextTimer();
+      if (!next || next.at > target) break;
+
+      this.timers = this.timers.filter(t => t.id !== next.id);
+      this.currentTime = next.at;
+      next.fn();
+      await flushPromises();
+    }
+
+    this.currentTime = target;
+  }
+
+  /**
+   * Advance to the next scheduled timer, if any
+   */
+  async runNext() {
+    const next = this.nextTimer();
+    if (next) await this.advance(next.at - this.currentTime);
+    return Boolean(next);
+  }
+
+  /**
+   * Number of timers still scheduled
+   */
+  getPendingTimers() {
+    return this.timers.length;
+  }
+
+  nextTimer() {
+    let next = null;
+    for (const t of this.timers) {
+      if (!next || t.at < next.at || (t.at === next.at && t.id < next.id)) {
+        next = t;
+      }
+    }
+    return next;
+  }
+}
+
+/**
+ * Let queued promise callbacks run (uses a real macrotask)
+ */
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+export default VirtualClock;
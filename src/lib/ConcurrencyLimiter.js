@@ -0,0 +1,184 @@
+/**
+ * Adaptive Concurrency Limiter
+ *
+ * Limits requests in flight instead of requests per second. Each finished
+ * request reports its latency and outcome; the controller (by default a
+ * GradientController) turns those into a new limit, so the limit follows
+ * the server's real capacity without per-environment tuning.
+ *
+ * Usage:
+ * const limiter = new ConcurrencyLimiter({
+ *   controller: new GradientController({ initialLimit: 6, maxLimit: 50 })
+ * });
+ *
+ * const release = await limiter.acquire();      // { signal, maxWaitMs } supported
+ * const start = Date.now();
+ * try {
+ *   await send();
+ *   release(Date.now() - start, true);
+ * } catch (error) {
+ *   release(Date.now() - start, false);
+ * }
+ *
+ * // A/B against AIMD: pass an AIMDController as `controller` and the same
+ * // update(errorRate, latency) signal drives the concurrency limit instead
+ */
+
+import { systemClock } from './Clock.js';
+import { GradientController } from './GradientController.js';
+import { SlidingWindow } from './SlidingWindow.js';
+import { RateLimitTimeoutError, abortReason } from './errors.js';
+
+export class ConcurrencyLimiter {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    // Error rate for controller updates comes from a rolling window
+    this.window = options.window || new SlidingWindow({
+      windowMs: options.windowMs || 30000,
+      clock: this.clock
+    });
+    // Cooldown defaults to one window, so each backoff sees only fresh errors
+    this.controller = options.controller || new GradientController({
+      cooldownMs: options.windowMs || 30000,
+      ...options.gradient,
+      clock: this.clock
+    });
+
+    this.inFlight = 0;
+    this.waiters = [];
+  }
+
+  /**
+   * Wait for an in-flight slot; resolves with release(latencyMs, success)
+   *
+   * Waiters are served FIFO. Rejects with the signal's reason on abort, or
+   * with RateLimitTimeoutError once `maxWaitMs` has elapsed.
+   */
+  acquire(options = {}) {
+    const { signal, maxWaitMs } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+
+    if (this.waiters.length === 0 && this.inFlight < this.getLimit()) {
+      this.inFlight++;
+      return Promise.resolve(this.createRelease());
+    }
+
+    return new Promise((resolve, reject) => {
+      const startedAt = this.clock.now();
+      let timeoutHandle = null;
+
+      const onAbort = () => {
+        this.removeWaiter(waiter);
+        reject(abortReason(signal));
+      };
+
+      const waiter = {
+        resolve,
+        cleanup: () => {
+          if (timeoutHandle !== null) this.clock.clearTimeout(timeoutHandle);
+          signal?.removeEventListener('abort', onAbort);
+        }
+      };
+
+      if (maxWaitMs !== undefined && maxWaitMs !== null) {
+        timeoutHandle = this.clock.setTimeout(() => {
+          timeoutHandle = null;
+          this.removeWaiter(waiter);
+          reject(new RateLimitTimeoutError(this.clock.now() - startedAt, 'a concurrency slot'));
+        }, maxWaitMs);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Take a slot if one is free, without waiting; returns release or null
+   */
+  tryAcquire() {
+    if (this.waiters.length === 0 && this.inFlight < this.getLimit()) {
+      this.inFlight++;
+      return this.createRelease();
+    }
+    return null;
+  }
+
+  /**
+   * Current concurrency limit
+   */
+  getLimit() {
+    return Math.max(1, Math.floor(this.controller.getCurrentRate()));
+  }
+
+  /**
+   * Number of requests in flight
+   */
+  getInFlight() {
+    return this.inFlight;
+  }
+
+  /**
+   * Number of acquire() calls waiting for a slot
+   */
+  getWaitingCount() {
+    return this.waiters.length;
+  }
+
+  /**
+   * Get limiter state info
+   */
+  getState() {
+    return {
+      limit: this.getLimit(),
+      inFlight: this.inFlight,
+      waiting: this.waiters.length,
+      controller: this.controller.getState()
+    };
+  }
+
+  /**
+   * Release function for one slot; only the first call counts
+   */
+  createRelease() {
+    let released = false;
+
+    return (latencyMs, success = true) => {
+      if (released) return;
+      released = true;
+      this.inFlight--;
+
+      // Without a latency sample (e.g. request never sent) just free the slot
+      if (latencyMs !== undefined) {
+        this.window.record(latencyMs, success);
+        this.controller.update(this.window.getErrorRate(), latencyMs);
+      }
+      this.drain();
+    };
+  }
+
+  /**
+   * Hand free slots to queued waiters
+   */
+  drain() {
+    while (this.waiters.length > 0 && this.inFlight < this.getLimit()) {
+      this.inFlight++;
+      const waiter = this.waiters.shift();
+      waiter.cleanup();
+      waiter.resolve(this.createRelease());
+    }
+  }
+
+  removeWaiter(waiter) {
+    const index = this.waiters.indexOf(waiter);
+    if (index === -1) return;
+
+    this.waiters.splice(index, 1);
+    waiter.cleanup();
+  }
+}
+
+export default ConcurrencyLimiter;
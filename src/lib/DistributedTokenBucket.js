@@ -0,0 +1,239 @@
+/**
+ * Distributed Token Bucket
+ *
+ * One rate limit shared by every sender instance. Tokens live in a shared
+ * state store (see StateStore.js), so 6 pods at MAX_RPS=5 still send 5 RPS
+ * in total. If the store is unreachable, each instance falls back to a
+ * local TokenBucket running at a conservative share of the global rate.
+ *
+ * Usage:
+ * const bucket = new DistributedTokenBucket({
+ *   key: 'chat-resend',
+ *   rate: 5,
+ *   burst: 5,
+ *   store: new RedisStateStore({ host: 'redis' }),
+ *   instances: 6          // Fallback runs at 5 / 6 RPS per instance
+ * });
+ * await bucket.take();
+ */
+
+import { systemClock, sleep } from './Clock.js';
+import { TokenBucket } from './TokenBucket.js';
+import { InMemoryStateStore } from './StateStore.js';
+import { RateLimitTimeoutError, abortReason } from './errors.js';
+
+export class DistributedTokenBucket {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.store = options.store || new InMemoryStateStore();
+    this.key = options.key || 'default';
+
+    this.rate = options.rate || 5;
+    // Never below one token, or a fractional rate could never pay for a take()
+    this.capacity = options.burst || Math.max(1, this.rate);
+
+    // Store calls slower than this count as failures
+    this.storeTimeoutMs = options.storeTimeoutMs || 200;
+    // How long to stay on the local fallback before trying the store again
+    this.fallbackRetryMs = options.fallbackRetryMs || 5000;
+
+    // Local share used while the store is unreachable
+    this.instances = options.instances || 1;
+    this.fallback = new TokenBucket({
+      rate: options.fallbackRate || this.rate / this.instances,
+      burst: Math.max(1, Math.floor(this.capacity / this.instances)),
+      clock: this.clock
+    });
+    this.degradedUntil = 0;
+
+    // Local waiters take turns so only the head polls the store (FIFO)
+    this.turn = Promise.resolve();
+    this.waiting = 0;
+
+    // Callbacks
+    this.onStoreError = options.onStoreError || (() => {});
+  }
+
+  /**
+   * Wait for `cost` tokens from the shared budget
+   *
+   * Same options as TokenBucket.take(): { signal, maxWaitMs }.
+   */
+  async take(cost = 1, options = {}) {
+    if (typeof cost === 'object' && cost !== null) {
+      options = cost;
+      cost = 1;
+    }
+    const { signal, maxWaitMs } = options;
+
+    if (cost > this.capacity) {
+      throw new RangeError(`Cost ${cost} exceeds burst capacity ${this.capacity}`);
+    }
+
+    const startedAt = this.clock.now();
+    const release = await this.waitForTurn(signal, maxWaitMs);
+
+    try {
+      for (;;) {
+        if (signal?.aborted) throw abortReason(signal);
+
+        const elapsed = this.clock.now() - startedAt;
+        const remaining = maxWaitMs === undefined || maxWaitMs === null
+          ? undefined
+          : maxWaitMs - elapsed;
+
+        if (this.isDegraded()) {
+          const fallbackWaitMs = remaining === undefined ? undefined : Math.max(0, remaining);
+          return await this.fallback.take(cost, { signal, maxWaitMs: fallbackWaitMs });
+        }
+
+        const result = await this.consume(cost);
+        if (!result) continue; // Store failed, loop round to the fallback
+        if (result.allowed) return;
+
+        if (remaining !== undefined && (remaining <= 0 || result.retryAfterMs > remaining)) {
+          throw new RateLimitTimeoutError(elapsed);
+        }
+        await sleep(result.retryAfterMs, this.clock, signal);
+      }
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Take `cost` tokens if available without waiting
+   */
+  async tryTake(cost = 1) {
+    if (this.isDegraded()) return this.fallback.tryTake(cost);
+
+    const result = await this.consume(cost);
+    if (!result) return this.fallback.tryTake(cost);
+    return result.allowed;
+  }
+
+  /**
+   * Change the shared rate (every instance should use the same value)
+   */
+  setRate(ratePerSec, burst) {
+    this.rate = ratePerSec;
+    this.capacity = burst !== undefined ? burst : Math.max(1, ratePerSec);
+    this.fallback.setRate(
+      ratePerSec / this.instances,
+      Math.max(1, Math.floor(this.capacity / this.instances))
+    );
+  }
+
+  /**
+   * Whether the local fallback is currently in use
+   */
+  isDegraded() {
+    return this.clock.now() < this.degradedUntil;
+  }
+
+  /**
+   * Get number of take() calls waiting in this instance
+   */
+  getWaitingCount() {
+    return this.waiting;
+  }
+
+  /**
+   * Get bucket state info
+   */
+  getState() {
+    return {
+      key: this.key,
+      rate: this.rate,
+      burst: this.capacity,
+      degraded: this.isDegraded(),
+      fallbackRate: this.fallback.rate,
+      waiting: this.getWaitingCount()
+    };
+  }
+
+  /**
+   * Ask the store for tokens; null means the store is unreachable
+   */
+  async consume(cost) {
+    let timeoutHandle;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutHandle = this.clock.setTimeout(
+        () => reject(new Error(`State store timed out after ${this.storeTimeoutMs}ms`)),
+        this.storeTimeoutMs
+      );
+    });
+
+    try {
+      return await Promise.race([
+        this.store.consume(this.key, {
+          rate: this.rate,
+          burst: this.capacity,
+          cost,
+          now: this.clock.now()
+        }),
+        timeout
+      ]);
+    } catch (error) {
+      this.degradedUntil = this.clock.now() + this.fallbackRetryMs;
+      this.onStoreError(error);
+      return null;
+    } finally {
+      this.clock.clearTimeout(timeoutHandle);
+    }
+  }
+
+  /**
+   * Wait until earlier take() calls in this instance are done
+   *
+   * Queue time counts against `maxWaitMs`, like in TokenBucket.take().
+   */
+  async waitForTurn(signal, maxWaitMs) {
+    const previous = this.turn;
+    let release;
+    this.turn = new Promise(resolve => { release = resolve; });
+    this.waiting++;
+
+    const done = () => {
+      this.waiting--;
+      release();
+    };
+
+    const hasLimit = maxWaitMs !== undefined && maxWaitMs !== null;
+    if (!signal && !hasLimit) {
+      await previous;
+      return done;
+    }
+
+    // Abort or timeout while queued: give up our place but keep the chain intact
+    const startedAt = this.clock.now();
+    let onAbort = null;
+    let timeoutHandle = null;
+    const cancelled = new Promise((resolve, reject) => {
+      if (signal) {
+        onAbort = () => reject(abortReason(signal));
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+      if (hasLimit) {
+        timeoutHandle = this.clock.setTimeout(() => {
+          reject(new RateLimitTimeoutError(this.clock.now() - startedAt));
+        }, Math.max(0, maxWaitMs));
+      }
+    });
+
+    try {
+      await Promise.race([previous, cancelled]);
+      return done;
+    } catch (error) {
+      this.waiting--;
+      previous.then(release);
+      throw error;
+    } finally {
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+      if (timeoutHandle !== null) this.clock.clearTimeout(timeoutHandle);
+    }
+  }
+}
+
+export default DistributedTokenBucket;
@@ -0,0 +1,121 @@
+/**
+ * Error Classifier
+ *
+ * Maps an error or response to a category shared by CircuitBreaker and
+ * RetryStrategy:
+ * - retryable: server or network fault (5xx, 408, ECONNRESET, ETIMEDOUT, ...)
+ * - throttled: server asked us to slow down (429)
+ * - fatal:     the request itself is wrong (other 4xx), retrying won't help
+ * - ignored:   not a failure at all (caller aborted, 2xx/3xx)
+ *
+ * Usage:
+ * const classifier = new ErrorClassifier({
+ *   statusOverrides: { 404: 'ignored' },
+ *   codeOverrides: { ENOTFOUND: 'fatal' },
+ *   classify: (error) => error.isValidation ? 'fatal' : undefined // undefined = use defaults
+ * });
+ * classifier.classify({ status: 503 }); // 'retryable'
+ */
+
+export const ErrorCategory = {
+  RETRYABLE: 'retryable',
+  THROTTLED: 'throttled',
+  FATAL: 'fatal',
+  IGNORED: 'ignored'
+};
+
+// Node / undici network error codes worth retrying
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+  'UND_ERR_SOCKET'
+]);
+
+export class ErrorClassifier {
+  constructor(options = {}) {
+    this.statusOverrides = options.statusOverrides || {};
+    this.codeOverrides = options.codeOverrides || {};
+    this.customClassify = options.classify || null;
+  }
+
+  /**
+   * Classify an error, a response ({ status }) or null (unknown failure)
+   */
+  classify(error) {
+    if (this.customClassify) {
+      const category = this.customClassify(error);
+      if (category) return category;
+    }
+
+    if (!error) return ErrorCategory.RETRYABLE;
+
+    // Caller cancelled: not the server's fault
+    if (error.name === 'AbortError' || error.code === 'ABORT_ERR') {
+      return ErrorCategory.IGNORED;
+    }
+
+    const status = error.status ?? error.statusCode ?? error.response?.status;
+    if (typeof status === 'number') {
+      return this.classifyStatus(status);
+    }
+
+    const code = this.getCode(error);
+    if (code) {
+      if (this.codeOverrides[code]) return this.codeOverrides[code];
+      if (RETRYABLE_CODES.has(code)) return ErrorCategory.RETRYABLE;
+    }
+
+    // Unknown errors (including AbortSignal.timeout's TimeoutError) are retried
+    return ErrorCategory.RETRYABLE;
+  }
+
+  /**
+   * Classify an HTTP status code
+   */
+  classifyStatus(status) {
+    if (this.statusOverrides[status]) return this.statusOverrides[status];
+
+    if (status === 429) return ErrorCategory.THROTTLED;
+    if (status === 408 || status >= 500) return ErrorCategory.RETRYABLE;
+    if (status >= 400) return ErrorCategory.FATAL;
+    return ErrorCategory.IGNORED;
+  }
+
+  /**
+   * Find a network error code on the error, its cause (undici fetch), or
+   * its message (errors created as new Error('ETIMEDOUT'))
+   */
+  getCode(error) {
+    if (error.code) return error.code;
+    if (error.cause?.code) return error.cause.code;
+    if (typeof error.message === 'string' && /^E[A-Z_]+$/.test(error.message)) {
+      return error.message;
+    }
+    return null;
+  }
+}
+
+/**
+ * Shared instance with the default rules
+ */
+export const defaultClassifier = new ErrorClassifier();
+
+/**
+ * Accept an ErrorClassifier, a plain classify(error) function, or nothing
+ */
+export function toClassifier(classifier) {
+  if (!classifier) return defaultClassifier;
+  if (typeof classifier === 'function') return new ErrorClassifier({ classify: classifier });
+  return classifier;
+}
+
+export default ErrorClassifier;
@@ -0,0 +1,182 @@
+/**
+ * Gradient Concurrency Controller
+ *
+ * Alternative to AIMDController that needs no hand-tuned latency
+ * threshold. It compares short-term latency against the measured no-load
+ * baseline RTT and scales the concurrency limit by that gradient:
+ * - latency near baseline: gradient 1.0, limit grows by a small queue allowance
+ * - latency rising:        gradient < 1.0, limit shrinks proportionally
+ * - errors over threshold: multiplicative backoff, then a cooldown so
+ *   errors still in the metrics window don't cut the limit again on
+ *   every sample (ConcurrencyLimiter updates on every release)
+ *
+ * Same interface as AIMDController (update / getCurrentRate / setRate /
+ * reset / getState / onRateChange), but the value is a number of
+ * in-flight requests. Use it with ConcurrencyLimiter.
+ *
+ * Usage:
+ * const controller = new GradientController({ initialLimit: 10, maxLimit: 100 });
+ * const limit = controller.update(errorRate, latencyMs);
+ */
+
+import { systemClock } from './Clock.js';
+
+export class GradientController {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
+    // Limit bounds
+    this.currentLimit = options.initialLimit || 10;
+    this.estimatedLimit = this.currentLimit; // Unrounded, so small gains add up
+    this.minLimit = options.minLimit || 1;
+    this.maxLimit = options.maxLimit || 200;
+
+    // Latency tolerated above baseline before the limit shrinks (1.5 = +50%)
+    this.rttTolerance = options.rttTolerance || 1.5;
+    // Samples averaged into the short-term RTT the gradient is computed from
+    this.rttWindow = options.rttWindow || 10;
+    // Samples for the baseline RTT to catch up with a slower server
+    this.baselineWindow = options.baselineWindow || 10000;
+    // How much of each new estimate to take (0..1)
+    this.smoothing = options.smoothing || 0.2;
+
+    // Error backoff
+    this.errorThreshold = options.errorThreshold || 0.05; // 5% error rate
+    this.backoffRatio = options.backoffRatio || 0.9;
+    // No further backoff until this long after the last one (match the window)
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.lastBackoffAt = null;
+
+    // Extra slots probed on top of the gradient: a number, or limit => number
+    const queueSize = options.queueSize || 1;
+    this.queueSize = typeof queueSize === 'function' ? queueSize : () => queueSize;
+
+    this.baselineRtt = 0;
+    this.shortRtt = 0;
+    this.lastRtt = 0;
+
+    // Limit change callback
+    this.onRateChange = options.onRateChange || (() => {});
+  }
+
+  /**
+   * Update limit from the current error rate and a latency sample
+   */
+  update(errorRate, latencyMs) {
+    const oldLimit = this.currentLimit;
+    this.lastRtt = latencyMs;
+
+    if (errorRate > this.errorThreshold) {
+      // Hold while cooling down: the window may still hold the same errors
+      if (this.isCoolingDown()) return this.currentLimit;
+
+      this.lastBackoffAt = this.clock.now();
+      this.setLimit(this.estimatedLimit * this.backoffRatio, 'decrease', {
+        errorRate,
+        latencyMs
+      });
+      return this.currentLimit;
+    }
+
+    if (!latencyMs || latencyMs <= 0) return this.currentLimit;
+
+    // Baseline is the no-load RTT: drops straight to any faster sample, and
+    // only creeps up (EWMA) so our own queueing doesn't become the baseline
+    if (this.baselineRtt === 0 || latencyMs < this.baselineRtt) {
+      this.baselineRtt = latencyMs;
+    } else {
+      const alpha = 1 / this.baselineWindow;
+      this.baselineRtt = this.baselineRtt * (1 - alpha) + latencyMs * alpha;
+    }
+
+    // Single samples are noisy; the gradient uses a short-term average
+    if (this.shortRtt === 0) {
+      this.shortRtt = latencyMs;
+    } else {
+      const beta = 2 / (this.rttWindow + 1);
+      this.shortRtt = this.shortRtt * (1 - beta) + latencyMs * beta;
+    }
+
+    const gradient = Math.max(
+      0.5,
+      Math.min(1, (this.rttTolerance * this.baselineRtt) / this.shortRtt)
+    );
+    const estimate = this.estimatedLimit * gradient + this.queueSize(this.estimatedLimit);
+    const smoothed = this.estimatedLimit * (1 - this.smoothing) + estimate * this.smoothing;
+
+    const reason = Math.floor(smoothed) > oldLimit ? 'increase' : 'decrease';
+    this.setLimit(smoothed, reason, { errorRate, latencyMs, gradient });
+
+    return this.currentLimit;
+  }
+
+  /**
+   * Check if a recent error backoff still blocks another one
+   */
+  isCoolingDown() {
+    return this.lastBackoffAt !== null &&
+      this.clock.now() - this.lastBackoffAt < this.cooldownMs;
+  }
+
+  /**
+   * Get current concurrency limit
+   */
+  getCurrentLimit() {
+    return this.currentLimit;
+  }
+
+  /**
+   * Same as getCurrentLimit() (AIMDController-compatible name)
+   */
+  getCurrentRate() {
+    return this.currentLimit;
+  }
+
+  /**
+   * Force set limit (bypasses gradient logic)
+   */
+  setRate(limit) {
+    this.estimatedLimit = Math.max(this.minLimit, Math.min(this.maxLimit, limit));
+    this.currentLimit = Math.floor(this.estimatedLimit);
+    return this.currentLimit;
+  }
+
+  /**
+   * Reset controller to initial state
+   */
+  reset() {
+    this.currentLimit = this.minLimit;
+    this.estimatedLimit = this.minLimit;
+    this.baselineRtt = 0;
+    this.shortRtt = 0;
+    this.lastRtt = 0;
+    this.lastBackoffAt = null;
+  }
+
+  /**
+   * Get controller state
+   */
+  getState() {
+    return {
+      currentLimit: this.currentLimit,
+      baselineRtt: this.baselineRtt,
+      shortRtt: this.shortRtt,
+      lastRtt: this.lastRtt,
+      isCoolingDown: this.isCoolingDown(),
+      minLimit: this.minLimit,
+      maxLimit: this.maxLimit
+    };
+  }
+
+  setLimit(limit, reason, metrics) {
+    const oldLimit = this.currentLimit;
+    this.estimatedLimit = Math.max(this.minLimit, Math.min(this.maxLimit, limit));
+    this.currentLimit = Math.floor(this.estimatedLimit);
+
+    if (oldLimit !== this.currentLimit) {
+      this.onRateChange(oldLimit, this.currentLimit, reason, metrics);
+    }
+  }
+}
+
+export default GradientController;
@@ -0,0 +1,192 @@
+/**
+ * Hedged Requests
+ *
+ * Cuts tail latency for idempotent reads: if the first attempt hasn't
+ * finished after the recent p95 latency, send a second one (optionally a
+ * third), take whichever succeeds first and abort the rest. Hedges are
+ * extra load, so each one needs a token from the rate limiter and a
+ * withdrawal from a hedge budget; when either says no, we just keep
+ * waiting on the attempts already in flight.
+ *
+ * Unlike RetryStrategy this never reacts to failures: if every attempt in
+ * flight has failed, execute() rejects with the last error. Wrap it in
+ * RetryStrategy.execute() for retries.
+ *
+ * Usage:
+ * const hedging = new HedgingPolicy({
+ *   window,                // SlidingWindow the caller records into (p95 source)
+ *   limiter: bucket,       // Anything with tryTake(), sync or async
+ *   maxHedges: 1,          // 2 = also a third attempt
+ *   budget: new RetryBudget({ ratio: 0.05 })
+ * });
+ *
+ * const response = await hedging.execute(
+ *   (attempt, signal) => fetch(url, { signal }),  // attempt 0 = primary
+ *   { signal }
+ * );
+ */
+
+import { systemClock } from './Clock.js';
+import { SlidingWindow } from './SlidingWindow.js';
+import { RetryBudget } from './RetryBudget.js';
+import { abortReason } from './errors.js';
+
+export class HedgingPolicy {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
+    // Latency source for the hedge delay; without one, every attempt that
+    // completes is recorded here (losers we cancelled are not)
+    this.ownsWindow = !options.window;
+    this.window = options.window || new SlidingWindow({ clock: this.clock });
+
+    // Fixed hedge delay, or null to follow the window's p95
+    this.delayMs = options.delayMs ?? null;
+    this.minDelayMs = options.minDelayMs || 10;
+    // Don't hedge on a p95 from too few samples
+    this.minSamples = options.minSamples || 20;
+
+    // Extra attempts per call (1 = second attempt, 2 = also a third)
+    this.maxHedges = options.maxHedges || 1;
+
+    // Hedges spend rate-limit tokens and a budget, never wait for them
+    this.limiter = options.limiter || null;
+    this.budget = options.budget || new RetryBudget({ ratio: 0.1, clock: this.clock });
+
+    this.requests = 0;
+    this.hedgesSent = 0;
+    this.hedgeWins = 0;
+  }
+
+  /**
+   * Run fn(attempt, signal), hedging while it is slow; resolves with the
+   * first success
+   */
+  execute(fn, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+
+    this.requests++;
+    this.budget.recordRequest();
+    const hedgeDelay = this.getHedgeDelay();
+
+    return new Promise((resolve, reject) => {
+      const controllers = [];
+      let inFlight = 0;
+      let settled = false;
+      let hedgeTimer = null;
+
+      const finish = (winner) => {
+        settled = true;
+        if (hedgeTimer !== null) this.clock.clearTimeout(hedgeTimer);
+        signal?.removeEventListener('abort', onAbort);
+
+        // Losers are cancelled, not failed: the classifier ignores AbortError
+        for (const controller of controllers) {
+          if (controller !== winner) controller.abort(hedgeLostError());
+        }
+      };
+
+      const onAbort = () => {
+        if (settled) return;
+        finish(null);
+        reject(abortReason(signal));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const launch = (attempt) => {
+        const controller = new AbortController();
+        const startedAt = this.clock.now();
+        controllers.push(controller);
+        inFlight++;
+
+        // Only winners would skew the p95 low, so slow attempts count too
+        const record = (success) => {
+          if (this.ownsWindow) this.window.record(this.clock.now() - startedAt, success);
+        };
+
+        Promise.resolve()
+          .then(() => fn(attempt, controller.signal))
+          .then(value => {
+            record(true);
+            if (settled) return;
+            if (attempt > 0) this.hedgeWins++;
+            finish(controller);
+            resolve(value);
+          }, error => {
+            const cancelled = controller.signal.aborted && error === controller.signal.reason;
+            if (!cancelled) record(false);
+            inFlight--;
+            if (settled || inFlight > 0) return;
+            finish(null);
+            reject(error);
+          });
+
+        if (attempt < this.maxHedges && hedgeDelay !== null) {
+          hedgeTimer = this.clock.setTimeout(() => {
+            hedgeTimer = null;
+            if (settled) return;
+            // The limiter may answer asynchronously (DistributedTokenBucket)
+            Promise.resolve(this.tryHedge()).then(hedged => {
+              if (hedged && !settled) launch(attempt + 1);
+            });
+          }, hedgeDelay);
+        }
+      };
+
+      launch(0);
+    });
+  }
+
+  /**
+   * Delay before sending a hedge, or null when there's no data to base it on
+   */
+  getHedgeDelay() {
+    if (this.delayMs !== null) return this.delayMs;
+    if (this.window.getRequestCount() < this.minSamples) return null;
+    return Math.max(this.minDelayMs, this.window.getP95Latency());
+  }
+
+  /**
+   * Reserve budget and a rate-limit token for one hedge
+   *
+   * Returns a promise when the limiter's tryTake() does.
+   */
+  tryHedge() {
+    // Check the budget first so a refused hedge doesn't burn a token
+    if (this.budget.getAvailable() < 1) return false;
+
+    const settle = (taken) => {
+      if (!taken || !this.budget.tryRetry()) return false;
+      this.hedgesSent++;
+      return true;
+    };
+    const taken = this.limiter ? this.limiter.tryTake() : true;
+    return typeof taken?.then === 'function' ? taken.then(settle) : settle(taken);
+  }
+
+  /**
+   * Get hedging stats
+   */
+  getState() {
+    return {
+      hedgeDelayMs: this.getHedgeDelay(),
+      requests: this.requests,
+      hedgesSent: this.hedgesSent,
+      hedgeWins: this.hedgeWins,
+      hedgeRate: this.requests > 0 ? this.hedgesSent / this.requests : 0,
+      budget: this.budget.getState()
+    };
+  }
+}
+
+function hedgeLostError() {
+  const error = new Error('Hedged attempt cancelled: another attempt finished first');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+export default HedgingPolicy;
@@ -0,0 +1,188 @@
+/**
+ * Keyed Rate Limiter
+ *
+ * One TokenBucket per key (tenant, channel, ...) under a shared parent
+ * bucket. A send needs a token from its own key bucket AND from the
+ * parent, so a noisy tenant is capped at its own rate while the parent
+ * enforces the global limit.
+ *
+ * Key buckets are created on first use and evicted when idle or when
+ * `maxKeys` is exceeded (least recently used first).
+ *
+ * Usage:
+ * const limiter = new KeyedRateLimiter({
+ *   rate: 2,                          // Per tenant
+ *   burst: 5,
+ *   parent: new TokenBucket(10)       // Global cap
+ * });
+ * await limiter.take('tenant-42');
+ */
+
+import { systemClock } from './Clock.js';
+import { TokenBucket } from './TokenBucket.js';
+
+export class KeyedRateLimiter {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
+    // Per-key limits (limitsFor(key) can override them per tenant)
+    this.rate = options.rate || 1;
+    this.burst = options.burst || this.rate;
+    this.limitsFor = options.limitsFor || null;
+
+    // Shared parent bucket: anything with take()/tryTake() (TokenBucket,
+    // DistributedTokenBucket, AdaptiveRateLimiter), or options to build one
+    this.parent = typeof options.parent?.take === 'function'
+      ? options.parent
+      : new TokenBucket({ ...(options.parent || { rate: 10 }), clock: this.clock });
+
+    // Memory bounds
+    this.maxKeys = options.maxKeys || 10000;
+    this.idleMs = options.idleMs || 300000; // 5 minutes
+
+    // Map keeps insertion order, re-inserted on use => LRU order
+    this.buckets = new Map();
+    this.lastSweep = this.clock.now();
+  }
+
+  /**
+   * Wait for `cost` tokens from the key's bucket and the parent
+   *
+   * Same options as TokenBucket.take(): { signal, maxWaitMs }.
+   */
+  async take(key, cost = 1, options = {}) {
+    if (typeof cost === 'object' && cost !== null) {
+      options = cost;
+      cost = 1;
+    }
+
+    const entry = this.getEntry(key);
+    const startedAt = this.clock.now();
+    entry.active++;
+
+    try {
+      await entry.bucket.take(cost, options);
+
+      // maxWaitMs bounds the whole call, so the parent gets what's left of it
+      const { maxWaitMs } = options;
+      const parentOptions = maxWaitMs === undefined || maxWaitMs === null
+        ? options
+        : { ...options, maxWaitMs: Math.max(0, maxWaitMs - (this.clock.now() - startedAt)) };
+      try {
+        await this.parent.take(cost, parentOptions);
+      } catch (error) {
+        // Parent wait failed, don't charge the tenant
+        entry.bucket.refund(cost);
+        throw error;
+      }
+    } finally {
+      entry.active--;
+      entry.lastUsed = this.clock.now();
+    }
+  }
+
+  /**
+   * Take `cost` tokens from both buckets if available without waiting
+   *
+   * Returns a promise when the parent's tryTake() does (DistributedTokenBucket).
+   */
+  tryTake(key, cost = 1) {
+    const entry = this.getEntry(key);
+
+    if (!entry.bucket.tryTake(cost)) return false;
+
+    const settle = (taken) => {
+      if (!taken) entry.bucket.refund(cost);
+      return taken;
+    };
+    const taken = this.parent.tryTake(cost);
+    return typeof taken?.then === 'function' ? taken.then(settle) : settle(taken);
+  }
+
+  /**
+   * Get the bucket for a key (creates it if needed)
+   */
+  getBucket(key) {
+    return this.getEntry(key).bucket;
+  }
+
+  /**
+   * Number of keys currently tracked
+   */
+  getKeyCount() {
+    return this.buckets.size;
+  }
+
+  /**
+   * Total number of take() calls waiting across all keys
+   */
+  getWaitingCount() {
+    let count = 0;
+    for (const entry of this.buckets.values()) count += entry.active;
+    return count;
+  }
+
+  /**
+   * Remove idle keys and enforce maxKeys
+   *
+   * The idle sweep runs at most once per `idleMs`, so a key lives between
+   * idleMs and 2 × idleMs after its last use.
+   */
+  evict() {
+    const now = this.clock.now();
+
+    if (now - this.lastSweep >= this.idleMs) {
+      this.lastSweep = now;
+      for (const [key, entry] of this.buckets) {
+        if (entry.active === 0 && now - entry.lastUsed >= this.idleMs) {
+          this.buckets.delete(key);
+        }
+      }
+    }
+
+    // Oldest first; keys with waiters are never evicted
+    for (const [key, entry] of this.buckets) {
+      if (this.buckets.size <= this.maxKeys) break;
+      if (entry.active === 0) this.buckets.delete(key);
+    }
+  }
+
+  /**
+   * Get limiter state info
+   */
+  getState() {
+    return {
+      keys: this.buckets.size,
+      waiting: this.getWaitingCount(),
+      // Parents are duck-typed, so not every one reports these
+      parentRate: this.parent.rate ?? this.parent.getCurrentRate?.() ?? null,
+      parentWaiting: this.parent.getWaitingCount?.() ?? null
+    };
+  }
+
+  getEntry(key) {
+    let entry = this.buckets.get(key);
+
+    if (entry) {
+      // Move to the most recently used end
+      this.buckets.delete(key);
+    } else {
+      const limits = this.limitsFor ? this.limitsFor(key) || {} : {};
+      entry = {
+        bucket: new TokenBucket({
+          rate: limits.rate || this.rate,
+          burst: limits.burst || limits.rate || this.burst,
+          clock: this.clock
+        }),
+        active: 0
+      };
+    }
+
+    entry.lastUsed = this.clock.now();
+    this.buckets.set(key, entry);
+    this.evict();
+    return entry;
+  }
+}
+
+export default KeyedRateLimiter;
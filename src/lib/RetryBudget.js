@@ -0,0 +1,104 @@
+/**
+ * Retry Budget
+ *
+ * Caps retries across all messages, not per message: over a rolling
+ * window, retries may not exceed `ratio` of first attempts plus a small
+ * floor of `minRetriesPerSec` so a quiet period can still retry. During
+ * an outage total load stays near (1 + ratio)× plus that floor (about
+ * 1.1× at ratio 0.1 under heavy traffic) instead of maxAttempts×.
+ *
+ * Usage:
+ * const budget = new RetryBudget({ ratio: 0.1, minRetriesPerSec: 1, windowMs: 10000 });
+ * const retry = new RetryStrategy({ budget });   // Consulted before every retry
+ *
+ * // Or by hand
+ * budget.recordRequest();                        // Every first attempt
+ * if (budget.tryRetry()) { ... }                 // Spends from the budget
+ */
+
+import { systemClock } from './Clock.js';
+
+export class RetryBudget {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
+    // Retries allowed per first attempt in the window
+    this.ratio = options.ratio ?? 0.1; // 10%
+    // Retries allowed on top of the ratio, whatever the traffic
+    this.minRetriesPerSec = options.minRetriesPerSec ?? 1;
+    this.windowMs = options.windowMs || 10000; // 10 seconds
+
+    // Timestamps of first attempts and retries inside the window
+    this.requests = [];
+    this.retries = [];
+  }
+
+  /**
+   * Record a first attempt (earns `ratio` of a retry)
+   */
+  recordRequest() {
+    this.requests.push(this.clock.now());
+  }
+
+  /**
+   * Spend one retry if the budget allows it
+   */
+  tryRetry() {
+    if (this.getAvailable() < 1) return false;
+
+    this.retries.push(this.clock.now());
+    return true;
+  }
+
+  /**
+   * Whole retries left in the window (no side effects)
+   */
+  getAvailable() {
+    this.cleanup();
+    return Math.max(0, Math.floor(this.getAllowance() - this.retries.length));
+  }
+
+  /**
+   * Retries the window allows in total
+   */
+  getAllowance() {
+    const floor = this.minRetriesPerSec * (this.windowMs / 1000);
+    return floor + this.requests.length * this.ratio;
+  }
+
+  /**
+   * Remove entries outside the window
+   */
+  cleanup() {
+    const cutoff = this.clock.now() - this.windowMs;
+    while (this.requests.length > 0 && this.requests[0] < cutoff) {
+      this.requests.shift();
+    }
+    while (this.retries.length > 0 && this.retries[0] < cutoff) {
+      this.retries.shift();
+    }
+  }
+
+  /**
+   * Get budget state
+   */
+  getState() {
+    this.cleanup();
+    return {
+      requests: this.requests.length,
+      retries: this.retries.length,
+      allowance: this.getAllowance(),
+      available: this.getAvailable()
+    };
+  }
+
+  /**
+   * Clear the window
+   */
+  reset() {
+    this.requests = [];
+    this.retries = [];
+  }
+}
+
+export default RetryBudget;
@@ -5,10 +5,42 @@
  * const retry = new RetryStrategy();
  * const delayMs = retry.getDelay(attemptNumber);
  * await sleep(delayMs);
+ *
+ * // Other curves and jitter (see Backoff.js); decorrelated jitter state
+ * // lives in each execute() call, so one instance can serve every message
+ * const retry = new RetryStrategy({ policy: 'fibonacci', jitterType: 'equal' });
+ * const retry = new RetryStrategy({ policy: (attempt) => attempt * 500 });
+ *
+ * // Cap retries across all messages (see RetryBudget); execute() then
+ * // fails fast with { success: false, budgetExhausted: true }
+ * const retry = new RetryStrategy({ budget: new RetryBudget({ ratio: 0.1 }) });
+ *
+ * // Cancellable, with an overall deadline and a timeout per attempt
+ * const result = await retry.execute(
+ *   (attempt, signal) => fetch(url, { signal }),
+ *   { signal: shutdown.signal, deadlineMs: 60000, attemptTimeoutMs: 5000 }
+ * );
+ * // result.aborted / result.deadlineExceeded tell why it stopped early
+ *
+ * // Log every retry, and why we gave up
+ * const retry = new RetryStrategy({
+ *   onRetry: ({ attempt, error, delayMs, reason }) => log(attempt, error.message, delayMs, reason),
+ *   onGiveUp: ({ reason, history }) => log('gave up:', reason, history)
+ * });
  */
 
+import { systemClock, sleep } from './Clock.js';
+import { toClassifier } from './ErrorClassifier.js';
+import { AttemptTimeoutError, abortReason } from './errors.js';
+import { getPolicyDelay, applyJitter, jitterRange } from './Backoff.js';
+
+// Keys that mark execute()'s second argument as options rather than a context
+const EXECUTE_OPTIONS = ['signal', 'deadlineMs', 'attemptTimeoutMs', 'context'];
+
 export class RetryStrategy {
   constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+
     // Base delay in milliseconds
     this.baseDelayMs = options.baseDelayMs || 1000;
     
@@ -18,63 +50,75 @@ export class RetryStrategy {
     // Exponential base (2 = double each time)
     this.exponentialBase = options.exponentialBase || 2;
     
+    // Delay curve: 'exponential', 'linear', 'fibonacci', 'constant' or (attempt, options) => ms
+    this.policy = options.policy || 'exponential';
+    
     // Jitter configuration
     this.jitterMs = options.jitterMs || 1000;
-    this.jitterType = options.jitterType || 'random'; // 'random', 'full', 'decorrelated'
+    this.jitterType = options.jitterType || 'random'; // 'none', 'random', 'full', 'equal', 'decorrelated'
     
     // Maximum retry attempts
     this.maxAttempts = options.maxAttempts || 8;
     
-    // Track last delay for decorrelated jitter
-    this.lastDelay = 0;
+    // Which errors are worth retrying (see ErrorClassifier)
+    this.classifier = toClassifier(options.classifier);
+    this.retryCategories = options.retryCategories || ['retryable', 'throttled'];
+    
+    // Optional RetryBudget shared by every execute() call
+    this.budget = options.budget || null;
+    
+    // Lifecycle hooks for execute():
+    // onRetry({ attempt, error, delayMs, reason })   reason: 'backoff' | 'retry_after'
+    // onGiveUp({ attempt, error, reason, history })  reason: 'not_retryable' | 'max_attempts' |
+    //                                                 'deadline' | 'budget_exhausted' | 'aborted'
+    // onSuccess({ attempt, result, history, totalMs })
+    this.onRetry = options.onRetry || (() => {});
+    this.onGiveUp = options.onGiveUp || (() => {});
+    this.onSuccess = options.onSuccess || (() => {});
   }
 
   /**
    * Calculate delay for given attempt number
+   *
+   * `previousDelay` is the delay before the last attempt, for decorrelated
+   * jitter; without it the policy delay of the previous attempt stands in.
    */
-  getDelay(attemptNumber, retryAfterMs = null) {
+  getDelay(attemptNumber, retryAfterMs = null, previousDelay = null) {
     // If server provides Retry-After, respect it
     if (retryAfterMs && retryAfterMs > 0) {
       return retryAfterMs + this.getJitter();
     }
     
-    // Calculate exponential backoff
-    const exponentialDelay = Math.min(
-      this.baseDelayMs * Math.pow(this.exponentialBase, attemptNumber - 1),
-      this.maxDelayMs
-    );
-    
-    // Add jitter based on type
-    let finalDelay;
-    switch (this.jitterType) {
-      case 'full':
-        // Full jitter: random between 0 and calculated delay
-        finalDelay = Math.random() * exponentialDelay;
-        break;
-        
-      case 'decorrelated':
-        // Decorrelated jitter: based on previous delay
-        const minDelay = this.baseDelayMs;
-        const maxDelay = Math.min(exponentialDelay * 3, this.maxDelayMs);
-        finalDelay = Math.random() * (maxDelay - minDelay) + minDelay;
-        this.lastDelay = finalDelay;
-        break;
-        
-      case 'random':
-      default:
-        // Random jitter: add random value to exponential delay
-        finalDelay = exponentialDelay + this.getJitter();
-        break;
+    const options = this.getBackoffOptions();
+    const delay = getPolicyDelay(this.policy, attemptNumber, options);
+    
+    if (previousDelay === null) {
+      previousDelay = attemptNumber > 1
+        ? getPolicyDelay(this.policy, attemptNumber - 1, options)
+        : this.baseDelayMs;
     }
     
-    return Math.min(Math.floor(finalDelay), this.maxDelayMs);
+    return applyJitter(this.jitterType, delay, {
+      ...options,
+      random: () => this.clock.random(),
+      jitterMs: this.jitterMs,
+      previousDelay
+    });
+  }
+
+  getBackoffOptions() {
+    return {
+      baseDelayMs: this.baseDelayMs,
+      maxDelayMs: this.maxDelayMs,
+      exponentialBase: this.exponentialBase
+    };
   }
 
   /**
    * Get random jitter value
    */
   getJitter() {
-    return Math.floor(Math.random() * this.jitterMs);
+    return Math.floor(this.clock.random() * this.jitterMs);
   }
 
   /**
@@ -86,12 +130,9 @@ export class RetryStrategy {
       return false;
     }
     
-    // Check error type (can be customized)
+    // Check error type (by default: no retry on 4xx except 429, or on abort)
     if (error) {
-      // Don't retry on client errors (4xx) except 429
-      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
-        return false;
-      }
+      return this.retryCategories.includes(this.classifier.classify(error));
     }
     
     return true;
@@ -99,75 +140,190 @@ export class RetryStrategy {
 
   /**
    * Execute function with retry logic
+   *
+   * fn is called as fn(attempt, signal). Options: `signal` cancels the
+   * attempt in flight or the backoff sleep, `deadlineMs` bounds the whole
+   * call (a retry that would start after it is skipped), and
+   * `attemptTimeoutMs` abandons a hung attempt. execute(fn, context) is
+   * still accepted.
+   *
+   * The result carries `attempts` (count) and `history`, one entry per
+   * attempt: { attempt, startedAt, durationMs, error, delayMs, delayReason }.
    */
-  async execute(fn, context = null) {
-    let lastError;
+  async execute(fn, options = null) {
+    const isOptions = options !== null && typeof options === 'object' &&
+      EXECUTE_OPTIONS.some(key => key in options);
+    const { signal, deadlineMs, attemptTimeoutMs, context = null } = isOptions
+      ? options
+      : { context: options };
+    const startedAt = this.clock.now();
+    const deadline = deadlineMs ? startedAt + deadlineMs : Infinity;
+    
+    const history = [];
+    let previousDelay = null; // Per call, so concurrent messages don't share it
+    this.budget?.recordRequest();
+    
+    const giveUp = (entry, reason, flags = {}) => {
+      const outcome = {
+        success: false,
+        error: entry.error,
+        attempts: entry.attempt,
+        history,
+        totalMs: this.clock.now() - startedAt,
+        ...flags
+      };
+      this.callHook(this.onGiveUp, { attempt: entry.attempt, error: entry.error, reason, history });
+      return outcome;
+    };
     
-    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+    for (let attempt = 1; ; attempt++) {
+      const entry = { attempt, startedAt: this.clock.now(), durationMs: 0, error: null };
+      history.push(entry);
+      
+      let result;
       try {
         // Execute the function
-        const result = await fn.call(context, attempt);
-        return { success: true, result, attempts: attempt };
+        const timeoutMs = Math.min(attemptTimeoutMs || Infinity, deadline - this.clock.now());
+        result = await this.runAttempt(fn, context, attempt, signal, timeoutMs);
       } catch (error) {
-        lastError = error;
+        entry.durationMs = this.clock.now() - entry.startedAt;
+        entry.error = error;
+        
+        if (signal?.aborted) {
+          return giveUp(entry, 'aborted', { aborted: true });
+        }
         
         // Check if should retry
         if (!this.shouldRetry(attempt, error)) {
-          break;
+          return giveUp(entry, attempt >= this.maxAttempts ? 'max_attempts' : 'not_retryable');
         }
         
         // Calculate delay
-        const delayMs = this.getDelay(
-          attempt,
-          error.retryAfterMs || null
-        );
+        const retryAfterMs = error.retryAfterMs || null;
+        const delayMs = this.getDelay(attempt, retryAfterMs, previousDelay);
+        const delayReason = retryAfterMs > 0 ? 'retry_after' : 'backoff';
+        previousDelay = delayMs;
         
-        // Wait before retry
-        await this.sleep(delayMs);
+        // No point waiting for a retry that would start past the deadline
+        if (this.clock.now() + delayMs >= deadline) {
+          return giveUp(entry, 'deadline', { deadlineExceeded: true });
+        }
+        
+        // Aggregate retry load is capped, not just this message's attempts
+        if (this.budget && !this.budget.tryRetry()) {
+          return giveUp(entry, 'budget_exhausted', { budgetExhausted: true });
+        }
+        
+        entry.delayMs = delayMs;
+        entry.delayReason = delayReason;
+        this.callHook(this.onRetry, { attempt, error, delayMs, reason: delayReason });
+        
+        // Wait before retry (cut short by abort)
+        try {
+          await this.sleep(delayMs, signal);
+        } catch {
+          return giveUp(entry, 'aborted', { aborted: true });
+        }
+        continue;
       }
+      
+      // Outside the try: a throwing hook must not turn a success into a retry
+      entry.durationMs = this.clock.now() - entry.startedAt;
+      const totalMs = this.clock.now() - startedAt;
+      this.callHook(this.onSuccess, { attempt, result, history, totalMs });
+      return { success: true, result, attempts: attempt, history, totalMs };
+    }
+  }
+
+  /**
+   * Run a lifecycle hook; its errors never change the retry outcome
+   */
+  callHook(hook, event) {
+    try {
+      hook(event);
+    } catch {
+      // Hooks are for logging and metrics only
+    }
+  }
+
+  /**
+   * Run one attempt with its own signal, abandoned on timeout or abort
+   *
+   * The attempt's promise is raced against its signal, so a fn that
+   * ignores the signal can't hang execute().
+   */
+  runAttempt(fn, context, attempt, signal, timeoutMs) {
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal));
     }
     
-    // All attempts failed
-    return {
-      success: false,
-      error: lastError,
-      attempts: this.maxAttempts
-    };
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(abortReason(signal));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    let timeoutHandle = null;
+    if (Number.isFinite(timeoutMs)) {
+      timeoutHandle = this.clock.setTimeout(() => {
+        controller.abort(new AttemptTimeoutError(timeoutMs));
+      }, Math.max(0, timeoutMs));
+    }
+    
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    
+    return Promise.race([
+      Promise.resolve().then(() => fn.call(context, attempt, controller.signal)),
+      aborted
+    ]).finally(() => {
+      if (timeoutHandle !== null) this.clock.clearTimeout(timeoutHandle);
+      signal?.removeEventListener('abort', onAbort);
+    });
   }
 
   /**
-   * Sleep helper
+   * Sleep helper (rejects if the signal aborts)
    */
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async sleep(ms, signal) {
+    return sleep(ms, this.clock, signal);
   }
 
   /**
-   * Get retry statistics
+   * Get retry statistics: expected delay range per attempt, not a sample
+   *
+   * Each entry of `delays` is { attempt, minMs, meanMs, maxMs }; totals
+   * are the sums (mean is approximate for decorrelated jitter).
    */
   getStats(attemptNumber) {
+    const options = { ...this.getBackoffOptions(), jitterMs: this.jitterMs };
     const delays = [];
+    let previous;
+    
     for (let i = 1; i <= attemptNumber; i++) {
-      delays.push(this.getDelay(i));
+      const delay = getPolicyDelay(this.policy, i, options);
+      const range = jitterRange(this.jitterType, delay, { ...options, previous });
+      delays.push({ attempt: i, minMs: range.min, meanMs: range.mean, maxMs: range.max });
+      previous = range;
     }
     
-    const totalDelay = delays.reduce((sum, d) => sum + d, 0);
+    const sum = key => delays.reduce((total, d) => total + d[key], 0);
+    const totalDelay = sum('meanMs');
     
     return {
       attempts: attemptNumber,
       delays: delays,
       totalDelayMs: totalDelay,
       totalDelaySeconds: totalDelay / 1000,
-      averageDelayMs: totalDelay / attemptNumber
+      averageDelayMs: totalDelay / attemptNumber,
+      minTotalDelayMs: sum('minMs'),
+      maxTotalDelayMs: sum('maxMs')
     };
   }
 
   /**
-   * Reset state (for decorrelated jitter)
+   * Reset state (no-op: backoff state now lives in each execute() call)
    */
-  reset() {
-    this.lastDelay = 0;
-  }
+  reset() {}
 }
 
 export default RetryStrategy;
\ No newline at end of file
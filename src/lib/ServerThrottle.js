@@ -0,0 +1,288 @@
+/**
+ * Server Throttle
+ *
+ * Turns the server's own rate-limit hints into limiter state shared by
+ * every waiter, instead of delaying only the message that got the 429:
+ * - Retry-After (seconds or HTTP-date): pause the bucket until then
+ * - RateLimit-Remaining: 0 (or X-RateLimit-Remaining): pause until the reset
+ * - RateLimit-Limit / Policy (or X-RateLimit-*): cap the rate at what the
+ *   server advertises until the window resets
+ *
+ * Usage:
+ * const throttle = new ServerThrottle({ bucket });
+ *
+ * const response = await fetch(url, options);
+ * throttle.observe(response);          // Any { headers } or Headers object
+ *
+ * // With AdaptiveRateLimiter the cap survives AIMD rate updates
+ * const limiter = new AdaptiveRateLimiter({ throttle, ... });
+ */
+
+import { systemClock } from './Clock.js';
+
+// Fallback window for a limit with no reset or policy window
+const DEFAULT_WINDOW_MS = 60000;
+
+// X-RateLimit-Reset above this is an epoch timestamp, not a delay (seconds)
+const EPOCH_SECONDS_THRESHOLD = 1e9;
+
+export class ServerThrottle {
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.bucket = options.bucket || null;
+
+    // Never cap below this, whatever the server advertises
+    this.minRate = options.minRate || 0.1;
+
+    // Current cap from headers, and when it lapses
+    this.rateCeiling = null;
+    this.ceilingUntil = 0;
+    this.pausedUntil = 0;
+
+    // Bucket rate before we capped it, restored when the cap lapses
+    this.uncapped = null;
+    this.cappedRate = null;
+    this.liftTimer = null;
+
+    // Callback: onThrottle({ reason, pausedUntil, rateCeiling })
+    this.onThrottle = options.onThrottle || (() => {});
+  }
+
+  /**
+   * Apply the rate-limit headers of a response (or a headers object)
+   *
+   * Returns the parsed hints, see parseRateLimitHeaders().
+   */
+  observe(response) {
+    if (!response) return null;
+
+    const headers = response.headers ?? response;
+    const now = this.clock.now();
+    const hints = parseRateLimitHeaders(headers, now);
+
+    if (hints.retryAfterMs !== null) {
+      this.pause(now + hints.retryAfterMs, 'retry_after');
+    } else if (hints.remaining === 0 && hints.resetMs !== null) {
+      this.pause(now + hints.resetMs, 'quota_exhausted');
+    }
+
+    const ceiling = this.ceilingFrom(hints);
+    if (ceiling !== null) {
+      const windowMs = hints.resetMs ?? hints.windowMs ?? DEFAULT_WINDOW_MS;
+      this.setCeiling(ceiling, now + windowMs);
+    }
+
+    return hints;
+  }
+
+  /**
+   * Rate cap currently advertised by the server, or null if none
+   */
+  getRateCeiling() {
+    if (this.rateCeiling === null || this.clock.now() >= this.ceilingUntil) {
+      return null;
+    }
+    return this.rateCeiling;
+  }
+
+  /**
+   * Cap a rate at the server's ceiling
+   */
+  applyTo(rate) {
+    const ceiling = this.getRateCeiling();
+    return ceiling === null ? rate : Math.min(rate, ceiling);
+  }
+
+  /**
+   * Get throttle state
+   */
+  getState() {
+    return {
+      paused: this.clock.now() < this.pausedUntil,
+      pausedUntil: this.pausedUntil,
+      rateCeiling: this.getRateCeiling(),
+      ceilingUntil: this.ceilingUntil
+    };
+  }
+
+  pause(until, reason) {
+    if (until <= this.pausedUntil) return;
+
+    this.pausedUntil = until;
+    if (this.bucket) this.bucket.pauseUntil(until);
+    this.onThrottle({ reason, pausedUntil: until, rateCeiling: this.getRateCeiling() });
+  }
+
+  setCeiling(ceiling, until) {
+    const changed = ceiling !== this.getRateCeiling();
+    this.rateCeiling = ceiling;
+    this.ceilingUntil = until;
+
+    if (this.bucket) this.capBucket(ceiling);
+    if (changed) {
+      this.onThrottle({ reason: 'rate_ceiling', pausedUntil: this.pausedUntil, rateCeiling: ceiling });
+    }
+  }
+
+  /**
+   * Lower the bucket to the ceiling, remembering its own rate so
+   * liftCap() can put it back once the window resets
+   *
+   * Only the rate changes: a fixed burst stays as it is, and a burst that
+   * follows the rate keeps following it (never below one token), so
+   * nothing is left to undo if someone else sets the rate meanwhile.
+   */
+  capBucket(ceiling) {
+    const bucket = this.bucket;
+
+    // Someone else (e.g. AdaptiveRateLimiter) has set the rate since we capped it
+    if (this.uncapped && bucket.rate !== this.cappedRate) this.uncapped = null;
+
+    const uncappedRate = this.uncapped ? this.uncapped.rate : bucket.rate;
+    if (uncappedRate <= ceiling) {
+      this.liftCap();
+      return;
+    }
+
+    if (!this.uncapped) this.uncapped = { rate: bucket.rate };
+    bucket.setRate(ceiling);
+    this.cappedRate = ceiling;
+
+    if (this.liftTimer !== null) this.clock.clearTimeout(this.liftTimer);
+    this.liftTimer = this.clock.setTimeout(() => {
+      this.liftTimer = null;
+      if (this.getRateCeiling() === null) this.liftCap();
+    }, Math.max(0, this.ceilingUntil - this.clock.now()));
+    this.liftTimer?.unref?.();
+  }
+
+  /**
+   * Put back the rate the bucket had before capBucket()
+   */
+  liftCap() {
+    if (this.liftTimer !== null) this.clock.clearTimeout(this.liftTimer);
+    this.liftTimer = null;
+
+    const uncapped = this.uncapped;
+    this.uncapped = null;
+    if (!uncapped || this.bucket.rate !== this.cappedRate) return;
+
+    this.bucket.setRate(uncapped.rate);
+  }
+
+  /**
+   * Requests per second the server allows, from limit/window or from
+   * what's left of the quota until the reset
+   */
+  ceilingFrom(hints) {
+    const candidates = [];
+
+    if (hints.limit !== null && hints.windowMs !== null) {
+      candidates.push(hints.limit / (hints.windowMs / 1000));
+    }
+    if (hints.remaining !== null && hints.remaining > 0 && hints.resetMs) {
+      candidates.push(hints.remaining / (hints.resetMs / 1000));
+    }
+
+    if (candidates.length === 0) return null;
+    return Math.max(this.minRate, Math.min(...candidates));
+  }
+}
+
+/**
+ * Parse rate-limit headers into { retryAfterMs, limit, remaining, resetMs, windowMs }
+ *
+ * Understands Retry-After, the IETF RateLimit-* / RateLimit-Policy and
+ * combined RateLimit headers, and X-RateLimit-*. Missing values are null.
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const combined = parseParams(getHeader(headers, 'ratelimit'));
+  const policy = parseParams(getHeader(headers, 'ratelimit-policy'));
+
+  const limitHeader = getHeader(headers, 'ratelimit-limit') ?? getHeader(headers, 'x-ratelimit-limit');
+  const remainingHeader = getHeader(headers, 'ratelimit-remaining') ?? getHeader(headers, 'x-ratelimit-remaining');
+
+  // Limit may carry its own policy: "100, 100;w=60"
+  const limitPolicy = parseParams(limitHeader);
+  const windowSeconds = toNumber(policy.w ?? limitPolicy.w ?? combined.w);
+
+  return {
+    retryAfterMs: parseRetryAfter(getHeader(headers, 'retry-after'), now),
+    limit: toNumber(combined.limit ?? leadingNumber(limitHeader)),
+    remaining: toNumber(combined.remaining ?? leadingNumber(remainingHeader)),
+    resetMs: parseReset(combined.reset ?? getHeader(headers, 'ratelimit-reset') ??
+      getHeader(headers, 'x-ratelimit-reset'), now),
+    windowMs: windowSeconds === null ? null : windowSeconds * 1000
+  };
+}
+
+/**
+ * Retry-After as ms from now: delay-seconds or an HTTP-date
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Reset as ms from now: delta seconds, or epoch seconds (X-RateLimit-Reset)
+ */
+function parseReset(value, now) {
+  const seconds = toNumber(leadingNumber(value));
+  if (seconds === null) return null;
+
+  if (seconds > EPOCH_SECONDS_THRESHOLD) {
+    return Math.max(0, seconds * 1000 - now);
+  }
+  return seconds * 1000;
+}
+
+/**
+ * Case-insensitive header lookup on a Headers object or a plain object
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === name) {
+      const value = headers[key];
+      return Array.isArray(value) ? value[0] : String(value);
+    }
+  }
+  return null;
+}
+
+/**
+ * "limit=100, remaining=50, reset=5" or "100;w=60" → { limit, remaining, reset, w }
+ */
+function parseParams(value) {
+  const params = {};
+  if (!value) return params;
+
+  for (const part of String(value).split(/[,;]/)) {
+    const [key, val] = part.split('=').map(s => s.trim());
+    if (val !== undefined) params[key.toLowerCase()] = val;
+  }
+  return params;
+}
+
+function leadingNumber(value) {
+  if (value === null || value === undefined) return null;
+  const match = String(value).match(/^\s*(\d+(?:\.\d+)?)/);
+  return match ? match[1] : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default ServerThrottle;
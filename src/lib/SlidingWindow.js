@@ -8,11 +8,18 @@
  * metrics.record(latency, success);
  * const errorRate = metrics.getErrorRate();
  * const p95 = metrics.getP95Latency();
+ *
+ * // Count-based: the last 100 requests, however old
+ * const lastHundred = new SlidingWindow({ windowMs: Infinity, maxSamples: 100 });
  */
 
+import { systemClock } from './Clock.js';
+
 export class SlidingWindow {
   constructor(options = {}) {
+    this.clock = options.clock || systemClock;
     this.windowMs = options.windowMs || 30000; // Default 30 seconds
+    this.maxSamples = options.maxSamples || Infinity; // Optional count limit
     this.dataPoints = [];
     this.totalCount = 0;
     this.successCount = 0;
@@ -22,7 +29,7 @@ export class SlidingWindow {
    * Record a data point
    */
   record(latencyMs, success) {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Add new data point
     this.dataPoints.push({
@@ -31,6 +38,11 @@ export class SlidingWindow {
       success: success
     });
     
+    // Drop the oldest point once the count limit is reached
+    if (this.dataPoints.length > this.maxSamples) {
+      this.dataPoints.shift();
+    }
+    
     // Update counters
     this.totalCount++;
     if (success) this.successCount++;
@@ -43,7 +55,7 @@ export class SlidingWindow {
    * Remove data points outside the window
    */
   cleanup() {
-    const now = Date.now();
+    const now = this.clock.now();
     const cutoff = now - this.windowMs;
     
     // Remove old points
@@ -103,6 +115,18 @@ export class SlidingWindow {
     return latencies[index];
   }
 
+  /**
+   * Get fraction of requests at or above `thresholdMs` in the window
+   */
+  getSlowRate(thresholdMs) {
+    this.cleanup();
+    
+    if (this.dataPoints.length === 0) return 0;
+    
+    const slow = this.dataPoints.filter(p => p.latency >= thresholdMs).length;
+    return slow / this.dataPoints.length;
+  }
+
   /**
    * Get average latency in the window
    */
@@ -152,7 +176,7 @@ export class SlidingWindow {
     
     if (this.dataPoints.length === 0) return 0;
     
-    const duration = (Date.now() - this.dataPoints[0].timestamp) / 1000;
+    const duration = (this.clock.now() - this.dataPoints[0].timestamp) / 1000;
     return duration > 0 ? this.dataPoints.length / duration : 0;
   }
 
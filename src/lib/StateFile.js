@@ -0,0 +1,123 @@
+/**
+ * State File
+ *
+ * Persists component snapshots to a JSON file so a restarted worker picks
+ * up where it left off: learned rate, open breaker, bucket tokens.
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a half-written file behind.
+ *
+ * Usage:
+ * const stateFile = new StateFile({ path: './data/throttle-state.json' });
+ *
+ * const saved = await stateFile.load();   // null on first start
+ * controller.restore(saved?.aimd);
+ * breaker.restore(saved?.breaker);
+ * bucket.restore(saved?.bucket);
+ *
+ * stateFile.start(() => ({
+ *   aimd: controller.snapshot(),
+ *   breaker: breaker.snapshot(),
+ *   bucket: bucket.snapshot()
+ * }));
+ *
+ * await stateFile.stop();                 // On shutdown: final save
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { systemClock } from './Clock.js';
+
+export class StateFile {
+  constructor(options = {}) {
+    if (typeof options === 'string') {
+      options = { path: options };
+    }
+
+    this.path = options.path;
+    this.clock = options.clock || systemClock;
+    this.intervalMs = options.intervalMs || 5000; // 5 seconds
+
+    this.getState = null;
+    this.timer = null;
+    this.saving = null;
+
+    // Called with save errors from the periodic loop (it keeps running)
+    this.onError = options.onError || (() => {});
+  }
+
+  /**
+   * Read the saved state; null if there is none or it can't be parsed
+   */
+  async load() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      // A corrupt file shouldn't keep the worker from starting
+      return null;
+    }
+  }
+
+  /**
+   * Write state atomically (temp file + rename)
+   */
+  async save(state) {
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(state), 'utf8');
+    await rename(tempPath, this.path);
+  }
+
+  /**
+   * Save getState() every intervalMs until stop()
+   */
+  start(getState) {
+    this.stopTimer();
+    this.getState = getState;
+    this.scheduleSave();
+  }
+
+  /**
+   * Stop the periodic save and write one last snapshot
+   */
+  async stop() {
+    this.stopTimer();
+    if (this.saving) await this.saving;
+    if (this.getState) await this.save(this.getState());
+    this.getState = null;
+  }
+
+  scheduleSave() {
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      // Skip a beat rather than race a slow previous write
+      if (!this.saving) {
+        this.saving = this.save(this.getState())
+          .catch(this.onError)
+          .finally(() => {
+            this.saving = null;
+          });
+      }
+      this.scheduleSave();
+    }, this.intervalMs);
+
+    // Don't keep the process alive just to persist state
+    this.timer?.unref?.();
+  }
+
+  stopTimer() {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default StateFile;
@@ -0,0 +1,270 @@
+/**
+ * Shared Rate Limit State Stores
+ *
+ * Backends for DistributedTokenBucket. A store keeps one token bucket per
+ * key and applies refill + consume atomically, so every sender instance
+ * draws from the same budget.
+ *
+ * Store interface:
+ * - consume(key, { rate, burst, cost, now })
+ *     → Promise<{ allowed, tokens, retryAfterMs }>
+ *   `now` is the caller's clock; a shared store should use its own
+ *   (RedisStateStore reads the server's TIME), so skew between pods
+ *   can't stall the refill
+ *
+ * Usage:
+ * const store = new InMemoryStateStore();                       // single process / tests
+ * const store = new RedisStateStore({ host: '127.0.0.1' });     // shared across pods
+ * const store = new RedisStateStore({ client: redisClient });   // existing node-redis client
+ */
+
+import net from 'node:net';
+
+/**
+ * Reference implementation kept in process memory
+ */
+export class InMemoryStateStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async consume(key, { rate, burst, cost = 1, now }) {
+    const bucket = this.buckets.get(key) || { tokens: burst, last: now };
+
+    if (now > bucket.last) {
+      bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.last) / 1000) * rate);
+      bucket.last = now;
+    }
+    bucket.tokens = Math.min(bucket.tokens, burst);
+
+    let allowed = false;
+    let retryAfterMs = 0;
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      allowed = true;
+    } else {
+      retryAfterMs = Math.ceil(((cost - bucket.tokens) / rate) * 1000);
+    }
+
+    this.buckets.set(key, bucket);
+    return { allowed, tokens: bucket.tokens, retryAfterMs };
+  }
+
+  /**
+   * Drop all stored buckets
+   */
+  reset() {
+    this.buckets.clear();
+  }
+}
+
+// Refill + consume in one atomic step on the Redis server, timed by the
+// server's clock: with pod clocks, a pod running ahead would move 'last'
+// forward and the pods behind it would earn no tokens until they caught up
+const CONSUME_SCRIPT = `
+-- TIME is non-deterministic: replicate effects, not the script (Redis < 5)
+if redis.replicate_commands then redis.replicate_commands() end
+
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local ttl = tonumber(ARGV[4])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'last')
+local tokens = tonumber(state[1]) or burst
+local last = tonumber(state[2]) or now
+
+if now > last then
+  tokens = math.min(burst, tokens + (now - last) / 1000 * rate)
+  last = now
+end
+tokens = math.min(tokens, burst)
+
+local allowed = 0
+local retry = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retry = math.ceil((cost - tokens) / rate * 1000)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'last', tostring(last))
+redis.call('PEXPIRE', KEYS[1], ttl)
+return { allowed, tostring(tokens), retry }
+`;
+
+/**
+ * Adapter for Redis or any server speaking the Redis protocol (RESP)
+ *
+ * Pass `client` with a node-redis style sendCommand(args) method, or
+ * `host`/`port` to use the built-in RespConnection.
+ */
+export class RedisStateStore {
+  constructor(options = {}) {
+    this.client = options.client || new RespConnection({
+      host: options.host,
+      port: options.port
+    });
+    this.keyPrefix = options.keyPrefix || 'rate:';
+    this.ttlMs = options.ttlMs || 60000; // Idle buckets expire after 60 seconds
+  }
+
+  // `now` is ignored: the script reads the server's clock
+  async consume(key, { rate, burst, cost = 1 }) {
+    const reply = await this.client.sendCommand([
+      'EVAL', CONSUME_SCRIPT, '1', this.keyPrefix + key,
+      String(rate), String(burst), String(cost), String(this.ttlMs)
+    ]);
+
+    return {
+      allowed: Number(reply[0]) === 1,
+      tokens: Number(reply[1]),
+      retryAfterMs: Number(reply[2])
+    };
+  }
+
+  /**
+   * Close the underlying connection
+   */
+  async close() {
+    if (typeof this.client.close === 'function') await this.client.close();
+    else if (typeof this.client.quit === 'function') await this.client.quit();
+  }
+}
+
+/**
+ * Minimal RESP client: one socket, pipelined commands, replies in order
+ */
+export class RespConnection {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 6379;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * Send a command as an array of strings, resolve with the parsed reply
+   */
+  sendCommand(args) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      this.pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  connect() {
+    if (this.socket) return this.socket;
+
+    this.socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket.on('data', chunk => this.onData(chunk));
+    this.socket.on('error', error => this.failAll(error));
+    this.socket.on('close', () => {
+      this.socket = null;
+      this.buffer = Buffer.alloc(0);
+      this.failAll(new Error('Connection closed'));
+    });
+    return this.socket;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    for (;;) {
+      let parsed;
+      try {
+        parsed = parseReply(this.buffer, 0);
+      } catch (error) {
+        // Protocol is out of sync; drop the connection
+        this.failAll(error);
+        this.socket.destroy();
+        return;
+      }
+      if (!parsed) return;
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+      const request = this.pending.shift();
+      if (!request) continue;
+
+      if (parsed.value instanceof Error) request.reject(parsed.value);
+      else request.resolve(parsed.value);
+    }
+  }
+
+  failAll(error) {
+    const pending = this.pending;
+    this.pending = [];
+    for (const request of pending) request.reject(error);
+  }
+
+  async close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    await new Promise(resolve => socket.end(resolve));
+    socket.destroy();
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    out += `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply starting at `offset`; null if the buffer is incomplete
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+
+    case '-':
+      return { value: new Error(line), offset: next };
+
+    case ':':
+      return { value: Number(line), offset: next };
+
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+export default InMemoryStateStore;
@@ -5,33 +5,106 @@
  * const bucket = new TokenBucket(5); // 5 requests per second
  * await bucket.take();               // Wait for available token
  * bucket.setRate(10);                // Adjust rate dynamically
+ *
+ * // 5 msg/s sustained, bursts of up to 20, bulk sends cost more
+ * const bucket = new TokenBucket({ rate: 5, burst: 20 });
+ * await bucket.take(10);             // Bulk send of 10 messages
+ * bucket.tryTake(3);                 // Non-blocking weighted take
+ *
+ * // Give up after 2 seconds, or when the signal aborts
+ * await bucket.take({ maxWaitMs: 2000, signal: controller.signal });
+ *
+ * // Live traffic (priority 1) jumps ahead of backlog replay (priority 0),
+ * // but backlog still gets at least 10% of tokens while both wait
+ * const bucket = new TokenBucket({ rate: 5, lowPriorityShare: 0.1 });
+ * await bucket.take({ priority: 1 });
+ *
+ * // Deterministic time for tests
+ * const bucket = new TokenBucket(5, { clock: new VirtualClock() });
+ *
+ * // Server said "come back in 30s": nobody gets a token until then
+ * bucket.pauseUntil(Date.now() + 30000);
+ *
+ * // Survive restarts without a fresh full burst
+ * const saved = bucket.snapshot();   // Plain JSON
+ * bucket.restore(saved);             // Tokens refill for the time in between
  */
 
-import { setTimeout as sleep } from 'node:timers/promises';
+import { systemClock } from './Clock.js';
+import { RateLimitTimeoutError, abortReason } from './errors.js';
 
 export class TokenBucket {
-  constructor(ratePerSec) {
-    this.capacity = ratePerSec;
-    this.tokens = ratePerSec;
+  constructor(ratePerSec, options = {}) {
+    // Accept either new TokenBucket(rate, options) or new TokenBucket({ rate, burst })
+    if (typeof ratePerSec === 'object' && ratePerSec !== null) {
+      options = ratePerSec;
+      ratePerSec = options.rate;
+    }
+
+    this.clock = options.clock || systemClock;
     this.rate = ratePerSec;
-    this.lastRefill = Date.now();
+
+    // Burst capacity follows the rate unless set explicitly
+    this.fixedBurst = options.burst !== undefined;
+    this.capacity = this.fixedBurst ? options.burst : followingBurst(ratePerSec);
+    this.tokens = this.capacity;
+    this.lastRefill = this.clock.now();
+
+    // No tokens are earned or handed out before this time (see pauseUntil)
+    this.pausedUntil = 0;
+
+    // Pending take() calls: one FIFO queue per priority, woken by a single timer
+    this.lanes = new Map();
+    this.waitingCount = 0;
+    this.timer = null;
+
+    // Minimum share of tokens for the lowest waiting priority (0 = strict priority)
+    this.lowPriorityShare = options.lowPriorityShare || 0;
+    // Tokens served while several lanes were waiting: in total, and to the lowest
+    this.contendedTokens = 0;
+    this.lowPriorityTokens = 0;
   }
 
   /**
-   * Dynamically adjust the rate limit
+   * Dynamically adjust the rate limit (and optionally the burst)
+   *
+   * Tokens earned at the old rate are credited first, then kept up to the
+   * new burst capacity.
    */
-  setRate(ratePerSec) {
-    this.capacity = ratePerSec;
+  setRate(ratePerSec, burst) {
+    this.refill();
+
+    if (burst !== undefined) {
+      this.fixedBurst = true;
+      this.capacity = burst;
+    } else if (!this.fixedBurst) {
+      this.capacity = followingBurst(ratePerSec);
+    }
+
     this.rate = ratePerSec;
     this.tokens = Math.min(this.tokens, this.capacity);
+
+    // Waiters asking for more than the new burst can never be served
+    for (const lane of [...this.lanes.values()]) {
+      for (const waiter of [...lane]) {
+        if (waiter.cost > this.capacity) {
+          this.removeWaiter(waiter);
+          waiter.reject(this.costError(waiter.cost));
+        }
+      }
+    }
+
+    // Wake-up time depends on the rate, so recompute it
+    this.cancelTimer();
+    this.schedule();
   }
 
   /**
    * Refill tokens based on time elapsed
    */
   refill() {
-    const now = Date.now();
-    const deltaSeconds = (now - this.lastRefill) / 1000;
+    const now = this.clock.now();
+    const deltaSeconds = Math.max(0, now - Math.max(this.lastRefill, this.pausedUntil)) / 1000;
     this.tokens = Math.min(
       this.capacity,
       this.tokens + deltaSeconds * this.rate
@@ -40,31 +113,273 @@ export class TokenBucket {
   }
 
   /**
-   * Wait for an available token (blocks until available)
+   * Wait for `cost` tokens (blocks until available)
+   *
+   * Waiters are served highest `priority` first (default 0), FIFO within a
+   * priority. Rejects with the signal's reason on abort, or with
+   * RateLimitTimeoutError once `maxWaitMs` has elapsed.
+   * Also accepts take(options) for a cost of 1.
    */
-  async take() {
-    while (true) {
-      this.refill();
-      if (this.tokens >= 1) {
-        this.tokens -= 1;
-        return;
-      }
-      await sleep(10); // Check every 10ms
+  take(cost = 1, options = {}) {
+    if (typeof cost === 'object' && cost !== null) {
+      options = cost;
+      cost = 1;
+    }
+    const { signal, maxWaitMs, priority = 0 } = options;
+
+    if (cost > this.capacity) {
+      return Promise.reject(this.costError(cost));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+
+    this.refill();
+    if (this.waitingCount === 0 && !this.isPaused() && this.tokens >= cost) {
+      this.tokens -= cost;
+      return Promise.resolve();
     }
+
+    return new Promise((resolve, reject) => {
+      const startedAt = this.clock.now();
+      let timeoutHandle = null;
+
+      const onAbort = () => {
+        this.removeWaiter(waiter);
+        reject(abortReason(signal));
+      };
+
+      const waiter = {
+        cost,
+        priority,
+        resolve,
+        reject,
+        cleanup: () => {
+          if (timeoutHandle !== null) this.clock.clearTimeout(timeoutHandle);
+          signal?.removeEventListener('abort', onAbort);
+        }
+      };
+
+      if (maxWaitMs !== undefined && maxWaitMs !== null) {
+        timeoutHandle = this.clock.setTimeout(() => {
+          timeoutHandle = null;
+          this.removeWaiter(waiter);
+          reject(new RateLimitTimeoutError(this.clock.now() - startedAt));
+        }, maxWaitMs);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.addWaiter(waiter);
+
+      // A new higher-priority waiter changes who is next
+      if (this.nextLane()[0] === waiter) this.cancelTimer();
+      this.schedule();
+    });
   }
 
   /**
-   * Check if token is available without waiting
+   * Take `cost` tokens if available without waiting
+   *
+   * Never jumps ahead of queued take() calls.
    */
-  tryTake() {
+  tryTake(cost = 1) {
     this.refill();
-    if (this.tokens >= 1) {
-      this.tokens -= 1;
+    if (this.waitingCount === 0 && !this.isPaused() && this.tokens >= cost) {
+      this.tokens -= cost;
       return true;
     }
     return false;
   }
 
+  /**
+   * Give back tokens that were taken but not used
+   */
+  refund(cost = 1) {
+    this.refill();
+    this.tokens = Math.min(this.capacity, this.tokens + cost);
+    this.cancelTimer();
+    this.drain();
+  }
+
+  /**
+   * Stop handing out tokens until `timestamp` (clock ms)
+   *
+   * Empties the bucket, and tokens only start refilling once the pause
+   * ends, so waiters don't all fire the moment it lifts. Never shortens
+   * an existing pause.
+   */
+  pauseUntil(timestamp) {
+    if (timestamp <= this.pausedUntil) return;
+
+    this.refill();
+    this.tokens = 0;
+    this.pausedUntil = timestamp;
+
+    this.cancelTimer();
+    this.schedule();
+  }
+
+  /**
+   * Whether a pause is in effect right now
+   */
+  isPaused() {
+    return this.clock.now() < this.pausedUntil;
+  }
+
+  /**
+   * Get number of take() calls waiting for a token
+   */
+  getWaitingCount(priority) {
+    if (priority === undefined) return this.waitingCount;
+    return this.lanes.get(priority)?.length || 0;
+  }
+
+  /**
+   * Hand out tokens to queued waiters, then wait for the next one
+   */
+  drain() {
+    this.refill();
+    while (!this.isPaused()) {
+      const lane = this.nextLane();
+      if (!lane || this.tokens < lane[0].cost) break;
+
+      this.tokens -= lane[0].cost;
+      this.countLowPriorityShare(lane, lane[0].cost);
+      const waiter = lane.shift();
+      this.waitingCount--;
+      if (lane.length === 0) this.lanes.delete(waiter.priority);
+
+      waiter.cleanup();
+      waiter.resolve();
+    }
+    this.schedule();
+  }
+
+  /**
+   * Pick the lane to serve next
+   *
+   * Highest priority wins, unless the lowest waiting lane has received
+   * less than `lowPriorityShare` of the tokens since both started waiting.
+   */
+  nextLane() {
+    if (this.lanes.size === 0) return null;
+
+    const priorities = [...this.lanes.keys()];
+    const highest = Math.max(...priorities);
+    const lowest = Math.min(...priorities);
+
+    if (highest !== lowest &&
+      this.lowPriorityTokens < this.lowPriorityShare * this.contendedTokens) {
+      return this.lanes.get(lowest);
+    }
+    return this.lanes.get(highest);
+  }
+
+  /**
+   * Count tokens (not waiters, so bulk sends weigh in full) served while
+   * more than one lane waits; the count starts over when contention ends
+   */
+  countLowPriorityShare(servedLane, cost) {
+    if (this.lowPriorityShare <= 0) return;
+    if (this.lanes.size < 2) {
+      this.contendedTokens = 0;
+      this.lowPriorityTokens = 0;
+      return;
+    }
+
+    this.contendedTokens += cost;
+    if (servedLane === this.lanes.get(Math.min(...this.lanes.keys()))) {
+      this.lowPriorityTokens += cost;
+    }
+  }
+
+  /**
+   * Arm a timer for when the head waiter's token will be ready
+   */
+  schedule() {
+    if (this.timer !== null || this.waitingCount === 0 || this.rate <= 0) {
+      return;
+    }
+
+    this.refill();
+    const deficit = this.nextLane()[0].cost - this.tokens;
+    const pauseMs = Math.max(0, this.pausedUntil - this.clock.now());
+    const waitMs = pauseMs + (deficit > 0 ? Math.ceil((deficit / this.rate) * 1000) : 0);
+
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, waitMs);
+  }
+
+  cancelTimer() {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  costError(cost) {
+    return new RangeError(`Cost ${cost} exceeds burst capacity ${this.capacity}`);
+  }
+
+  addWaiter(waiter) {
+    if (!this.lanes.has(waiter.priority)) {
+      this.lanes.set(waiter.priority, []);
+    }
+    this.lanes.get(waiter.priority).push(waiter);
+    this.waitingCount++;
+  }
+
+  removeWaiter(waiter) {
+    const lane = this.lanes.get(waiter.priority);
+    const index = lane ? lane.indexOf(waiter) : -1;
+    if (index === -1) return;
+
+    lane.splice(index, 1);
+    this.waitingCount--;
+    if (lane.length === 0) this.lanes.delete(waiter.priority);
+    waiter.cleanup();
+
+    // The head may have changed, so recompute the wake-up time
+    this.cancelTimer();
+    this.schedule();
+  }
+
+  /**
+   * Serializable state for restore() after a restart
+   */
+  snapshot() {
+    this.refill();
+    return {
+      rate: this.rate,
+      burst: this.fixedBurst ? this.capacity : null,
+      tokens: this.tokens,
+      pausedUntil: this.pausedUntil,
+      savedAt: this.clock.now()
+    };
+  }
+
+  /**
+   * Resume from snapshot(); tokens are credited for the time since it was taken
+   */
+  restore(snapshot) {
+    if (!snapshot) return;
+
+    this.setRate(snapshot.rate, snapshot.burst ?? undefined);
+
+    // A server-requested pause outlives the restart
+    this.pausedUntil = Math.max(this.pausedUntil, snapshot.pausedUntil || 0);
+
+    const earnedSince = Math.max(snapshot.savedAt, this.pausedUntil);
+    const elapsedSeconds = Math.max(0, this.clock.now() - earnedSince) / 1000;
+    this.tokens = Math.min(this.capacity, snapshot.tokens + elapsedSeconds * this.rate);
+    this.lastRefill = this.clock.now();
+
+    this.cancelTimer();
+    this.drain();
+  }
+
   /**
    * Get current token count
    */
@@ -74,4 +389,12 @@ export class TokenBucket {
   }
 }
 
+/**
+ * Burst for a bucket whose burst follows its rate: never below one token,
+ * or a fractional rate (0.5 RPS) could never pay for a single take()
+ */
+function followingBurst(ratePerSec) {
+  return Math.max(1, ratePerSec);
+}
+
 export default TokenBucket;
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Error Types
+ *
+ * Typed errors thrown or rejected by src/lib components. Each carries a
+ * stable `code` so callers can branch without instanceof checks.
+ */
+
+/**
+ * A waiter gave up before a token (or concurrency slot) became available
+ */
+export class RateLimitTimeoutError extends Error {
+  constructor(waitedMs, resource = 'a rate limit token') {
+    super(`Timed out after ${waitedMs}ms waiting for ${resource}`);
+    this.name = 'RateLimitTimeoutError';
+    this.code = 'RATE_LIMIT_TIMEOUT';
+    this.waitedMs = waitedMs;
+  }
+}
+
+/**
+ * A single attempt ran longer than its timeout and was abandoned
+ */
+export class AttemptTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Attempt timed out after ${timeoutMs}ms`);
+    this.name = 'AttemptTimeoutError';
+    this.code = 'ATTEMPT_TIMEOUT';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Get the rejection value for an aborted signal
+ */
+export function abortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
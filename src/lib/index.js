@@ -2,11 +2,18 @@
  * Retry Herd Prevention Library
  * 
  * Modular components for building resilient systems:
- * - Rate limiting (Token Bucket)
- * - Circuit breaking 
- * - Adaptive rate control (AIMD)
+ * - Rate limiting (Token Bucket, shared across instances, per tenant)
+ * - Circuit breaking (per endpoint via CircuitBreakerRegistry)
+ * - Adaptive rate control (AIMD, self-driving AdaptiveRateLimiter)
+ * - Backlog draining against a deadline (BacklogController)
+ * - Adaptive concurrency limits (gradient controller + ConcurrencyLimiter)
  * - Metrics collection (Sliding Window)
- * - Retry strategies (Exponential backoff with jitter)
+ * - Retry strategies (Exponential backoff with jitter, shared retry budget)
+ * - Hedged requests for tail latency (HedgingPolicy)
+ * - Error classification (shared by breaker and retries)
+ * - Injectable clock (virtual time for deterministic tests)
+ * - State persistence across restarts (snapshot/restore + StateFile)
+ * - Server-driven throttling (Retry-After / RateLimit headers)
  */
 
 import { TokenBucket } from './TokenBucket.js';
@@ -14,9 +21,37 @@ import { CircuitBreaker } from './CircuitBreaker.js';
 import { AIMDController } from './AIMDController.js';
 import { SlidingWindow } from './SlidingWindow.js';
 import { RetryStrategy } from './RetryStrategy.js';
+import { RetryBudget } from './RetryBudget.js';
+import { HedgingPolicy } from './HedgingPolicy.js';
+import { backoffPolicies, getPolicyDelay, applyJitter } from './Backoff.js';
+import { systemClock, VirtualClock, sleep } from './Clock.js';
+import { RateLimitTimeoutError, AttemptTimeoutError } from './errors.js';
+import { DistributedTokenBucket } from './DistributedTokenBucket.js';
+import { InMemoryStateStore, RedisStateStore, RespConnection } from './StateStore.js';
+import { KeyedRateLimiter } from './KeyedRateLimiter.js';
+import { CircuitBreakerRegistry } from './CircuitBreakerRegistry.js';
+import { ErrorClassifier, ErrorCategory, defaultClassifier } from './ErrorClassifier.js';
+import { AdaptiveRateLimiter } from './AdaptiveRateLimiter.js';
+import { BacklogController } from './BacklogController.js';
+import { GradientController } from './GradientController.js';
+import { ConcurrencyLimiter } from './ConcurrencyLimiter.js';
+import { StateFile } from './StateFile.js';
+import { ServerThrottle, parseRateLimitHeaders, parseRetryAfter } from './ServerThrottle.js';
 
 // Named exports
 export { TokenBucket, CircuitBreaker, AIMDController, SlidingWindow, RetryStrategy };
+export { RetryBudget, HedgingPolicy };
+export { backoffPolicies, getPolicyDelay, applyJitter };
+export { systemClock, VirtualClock, sleep };
+export { RateLimitTimeoutError, AttemptTimeoutError };
+export { DistributedTokenBucket, InMemoryStateStore, RedisStateStore, RespConnection };
+export { KeyedRateLimiter };
+export { CircuitBreakerRegistry };
+export { ErrorClassifier, ErrorCategory, defaultClassifier };
+export { AdaptiveRateLimiter, BacklogController };
+export { GradientController, ConcurrencyLimiter };
+export { StateFile };
+export { ServerThrottle, parseRateLimitHeaders, parseRetryAfter };
 
 // Default export with all classes
 export default {
@@ -24,5 +59,32 @@ export default {
   CircuitBreaker,
   AIMDController,
   SlidingWindow,
-  RetryStrategy
+  RetryStrategy,
+  RetryBudget,
+  HedgingPolicy,
+  backoffPolicies,
+  getPolicyDelay,
+  applyJitter,
+  systemClock,
+  VirtualClock,
+  sleep,
+  RateLimitTimeoutError,
+  AttemptTimeoutError,
+  DistributedTokenBucket,
+  InMemoryStateStore,
+  RedisStateStore,
+  RespConnection,
+  KeyedRateLimiter,
+  CircuitBreakerRegistry,
+  ErrorClassifier,
+  ErrorCategory,
+  defaultClassifier,
+  AdaptiveRateLimiter,
+  BacklogController,
+  GradientController,
+  ConcurrencyLimiter,
+  StateFile,
+  ServerThrottle,
+  parseRateLimitHeaders,
+  parseRetryAfter
 };
\ No newline at end of file
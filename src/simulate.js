@@ -7,6 +7,7 @@
 
 import PQueue from 'p-queue';
 import { setTimeout as sleep } from 'node:timers/promises';
+import { TokenBucket } from './lib/TokenBucket.js';
 
 // ==================== 可調參數（主要開關在這） ====================
 const SEED_MESSAGES = 5000;   // 模擬重啟後堆積的未送訊息
@@ -22,6 +23,11 @@ const RAMP_EVERY     = 30_000;
 const RETRY_MAX      = 8;     // 單筆重試上限
 const BACKOFF_CAP_S  = 300;   // 退避上限（秒）
 
+const LIVE_EVERY_MS     = 2_000; // 即時使用者訊息的到達間隔
+const PRIORITY_LIVE     = 1;     // 即時訊息：優先送出
+const PRIORITY_BACKLOG  = 0;     // 重啟後堆積的訊息（backlog replay）
+const BACKLOG_MIN_SHARE = 0.2;   // 兩者同時等待時，backlog 至少分到 20% 的 token
+
 // ==================== In-memory "DB"（用陣列當假資料庫） ====================
 /*
   訊息資料結構：
@@ -30,7 +36,8 @@ const BACKOFF_CAP_S  = 300;   // 退避上限（秒）
     payload: any,
     status: 'PENDING'|'SENDING'|'SENT'|'FAILED'|'DLQ',
     attempt_count: number,
-    next_attempt_at: number
+    next_attempt_at: number,
+    priority: number           // PRIORITY_LIVE | PRIORITY_BACKLOG
   }
 */
 const DB = [];
@@ -42,43 +49,21 @@ function seedMessages(n = SEED_MESSAGES) {
       status: 'PENDING',
       attempt_count: 0,
       next_attempt_at: Date.now(),
+      priority: PRIORITY_BACKLOG,
     });
   }
 }
 seedMessages();
 
-// ==================== Token Bucket：單機 RPS 限速 ====================
-class TokenBucket {
-  constructor(ratePerSec) {
-    this.capacity = ratePerSec;
-    this.tokens   = ratePerSec;
-    this.rate     = ratePerSec;
-    this.last     = Date.now();
-  }
-  setRate(rps) {
-    this.capacity = rps;
-    this.rate     = rps;
-    this.tokens   = Math.min(this.tokens, this.capacity);
-  }
-  refill() {
-    const now   = Date.now();
-    const delta = (now - this.last) / 1000;
-    this.tokens = Math.min(this.capacity, this.tokens + delta * this.rate);
-    this.last   = now;
-  }
-  async take() {
-    for (;;) {
-      this.refill();
-      if (this.tokens >= 1) { this.tokens -= 1; return; }
-      await sleep(10);
-    }
-  }
-}
-const bucket = new TokenBucket(WARMUP_RPS);
+// ==================== Token Bucket：單機 RPS 限速（含優先權） ====================
+// 使用 src/lib 的 TokenBucket：等待者依優先權排隊（同優先權 FIFO），
+// 並保留 BACKLOG_MIN_SHARE 給 backlog，避免即時流量把重送完全餓死
+const bucket = new TokenBucket(WARMUP_RPS, { lowPriorityShare: BACKLOG_MIN_SHARE });
 
 // ==================== 客戶端可觀測訊號（滑動視窗：30 秒） ====================
 const win = [];
 let sentCount = 0;
+let liveWaitMs = 0;   // 最近一筆即時訊息從進佇列到送出的等待時間
 function record(ms, ok) {
   const now = Date.now();
   win.push({ t: now, ms, ok });
@@ -237,19 +222,51 @@ async function onFail(row) {
 
 // ==================== 併發隊列 + 節流核心 ====================
 const queue = new PQueue({ concurrency: CONCURRENCY });
+function enqueue(row) {
+  const enqueuedAt = Date.now();
+  // 高優先權同時在 PQueue 與 Token Bucket 兩層插隊
+  return queue.add(async () => {
+    if (shuttingDown) { row.status = 'PENDING'; return; }  // 關機中：還沒開始的放回 DB，下次啟動再送
+    while (CB.shouldBlock()) await sleep(50);              // Open → 暫停
+    await bucket.take({ priority: row.priority });        // Token Bucket 限 RPS
+    if (row.priority === PRIORITY_LIVE) liveWaitMs = Date.now() - enqueuedAt;
+    const res = await sendToChatServer(row);
+    if (res.ok) await dbMarkSent(row.id);
+    else        await onFail(row);
+  }, { priority: row.priority });
+}
 async function processBatch(rows) {
-  for (const row of rows) {
-    queue.add(async () => {
-      while (CB.shouldBlock()) await sleep(50); // Open → 暫停
-      await bucket.take();                      // Token Bucket 限 RPS
-      const res = await sendToChatServer(row);
-      if (res.ok) await dbMarkSent(row.id);
-      else        await onFail(row);
-    });
-  }
+  for (const row of rows) enqueue(row);
   await queue.onIdle();
 }
 
+// ==================== 即時流量：使用者正在送的新訊息 ====================
+// 保留 interval handle：關機或 backlog 清空後要停掉，否則 queue 永遠不會 idle
+let liveSeq = 0;
+let liveTimer = null;
+function liveTraffic() {
+  liveTimer = setInterval(() => {
+    const row = {
+      id: `live-${++liveSeq}`,
+      payload: { text: `live-${liveSeq}` },
+      status: 'SENDING',
+      attempt_count: 0,
+      next_attempt_at: Date.now(),
+      priority: PRIORITY_LIVE,
+    };
+    DB.push(row);
+    enqueue(row);
+  }, LIVE_EVERY_MS);
+}
+function stopLiveTraffic() {
+  if (liveTimer === null) return;
+  clearInterval(liveTimer);
+  liveTimer = null;
+}
+function backlogDrained() {
+  return DB.every(m => m.priority !== PRIORITY_BACKLOG || m.status === 'SENT' || m.status === 'DLQ');
+}
+
 // ==================== 暖身 + 自動加/降速（AIMD） ====================
 async function controller() {
   await sleep(WARMUP_MS);
@@ -279,6 +296,7 @@ async function controller() {
       error_rate: (errorRate()*100).toFixed(1) + '%',
       breaker: CB.state,
       sent_total: sentCount,
+      live_wait_ms: liveWaitMs,
     };
     console.log('[stats]', new Date().toISOString(), stats);
   }, 10_000);
@@ -288,8 +306,10 @@ async function controller() {
 let shuttingDown = false;
 async function main() {
   controller().catch(console.error);
+  liveTraffic();
   process.on('SIGTERM', async () => {
     shuttingDown = true;
+    stopLiveTraffic();                                     // 不再產生新訊息，onIdle 才等得到
     await queue.onIdle();
     process.exit(0);
   });
@@ -299,7 +319,9 @@ async function main() {
     const rows = await dbFetchBatch(BATCH_SIZE);
     if (rows.length) await processBatch(rows);
     else await sleep(300);
-    if (DB.every(m => m.status === 'SENT' || m.status === 'DLQ')) {
+    // 模擬目標是清空重啟後的 backlog：清空後停止即時流量，讓剩下的即時訊息送完就結束
+    if (liveTimer !== null && backlogDrained()) stopLiveTraffic();
+    if (liveTimer === null && DB.every(m => m.status === 'SENT' || m.status === 'DLQ')) {
       console.log('All done. SENT:', DB.filter(m=>m.status==='SENT').length,
                   'DLQ:', DB.filter(m=>m.status==='DLQ').length);
       process.exit(0);
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../src/lib/CircuitBreaker.js';
+import { VirtualClock } from '../src/lib/Clock.js';
+
+const failure = new Error('boom');
+
+function createBreaker(options = {}) {
+  const clock = options.clock || new VirtualClock();
+  const transitions = [];
+  const breaker = new CircuitBreaker({
+    clock,
+    failureThreshold: 3,
+    openDurationMs: 1000,
+    openJitter: 0,
+    halfOpenSuccessThreshold: 2,
+    onStateChange: (from, to, reason) => transitions.push(`${from}->${to}:${reason}`),
+    ...options
+  });
+  return { clock, breaker, transitions };
+}
+
+function trip(breaker, count = 3) {
+  for (let i = 0; i < count; i++) breaker.onFailure(failure);
+}
+
+test('opens after failureThreshold consecutive failures', () => {
+  const { breaker, transitions } = createBreaker();
+
+  trip(breaker, 2);
+  breaker.onSuccess();
+  trip(breaker, 2);
+  assert.equal(breaker.state, 'Closed');
+
+  breaker.onFailure(failure);
+  assert.equal(breaker.state, 'Open');
+  assert.equal(breaker.shouldBlock(), true);
+  assert.deepEqual(transitions, ['Closed->Open:failure_threshold']);
+});
+
+test('Open -> HalfOpen after the open duration, closes after enough probes', async () => {
+  const { clock, breaker, transitions } = createBreaker();
+  trip(breaker);
+
+  await clock.advance(999);
+  assert.equal(breaker.shouldBlock(), true);
+
+  await clock.advance(1);
+  assert.equal(breaker.shouldBlock(), false);
+  assert.equal(breaker.state, 'HalfOpen');
+
+  breaker.onSuccess();
+  breaker.onSuccess();
+  assert.equal(breaker.state, 'Closed');
+  assert.deepEqual(transitions, [
+    'Closed->Open:failure_threshold',
+    'Open->HalfOpen:open_timeout',
+    'HalfOpen->Closed:probe_succeeded'
+  ]);
+});
+
+test('a failed probe reopens for twice as long', async () => {
+  const { clock, breaker } = createBreaker();
+  trip(breaker);
+  await clock.advance(1000);
+  breaker.shouldBlock();
+
+  breaker.onFailure(failure);
+  assert.equal(breaker.state, 'Open');
+  assert.equal(breaker.currentOpenDurationMs, 2000);
+
+  await clock.advance(1999);
+  assert.equal(breaker.shouldBlock(), true);
+  await clock.advance(1);
+  assert.equal(breaker.shouldBlock(), false);
+});
+
+test('HalfOpen admits only halfOpenMaxProbes permits at once', async () => {
+  const { clock, breaker } = createBreaker();
+  trip(breaker);
+  await clock.advance(1000);
+
+  const probe = breaker.acquire();
+  assert.ok(probe);
+  assert.equal(breaker.acquire(), null);
+
+  probe.onSuccess();
+  assert.ok(breaker.acquire());
+});
+
+test('errors outside failureCategories do not trip the breaker', () => {
+  const { breaker } = createBreaker();
+
+  for (let i = 0; i < 5; i++) breaker.onFailure({ status: 400 });
+  assert.equal(breaker.state, 'Closed');
+});
+
+test('forceOpen() pins the breaker open until cleared', async () => {
+  const { clock, breaker, transitions } = createBreaker();
+
+  breaker.forceOpen('maintenance');
+  await clock.advance(60000);
+  assert.equal(breaker.shouldBlock(), true);
+  assert.equal(breaker.getState().override.reason, 'maintenance');
+
+  // Leaving a forced open goes through HalfOpen
+  breaker.clearOverride();
+  assert.equal(breaker.state, 'HalfOpen');
+  assert.deepEqual(transitions, ['Closed->Open:forced_open', 'Open->HalfOpen:override_cleared']);
+});
+
+test('forceClosed() ignores failures until cleared', () => {
+  const { breaker } = createBreaker();
+
+  breaker.forceClosed('false positives');
+  trip(breaker, 10);
+  assert.equal(breaker.state, 'Closed');
+  assert.equal(breaker.shouldBlock(), false);
+
+  breaker.clearOverride();
+  assert.equal(breaker.state, 'Closed');
+});
+
+test('an expired forceOpen stops blocking without any traffic', async () => {
+  const { clock, breaker } = createBreaker();
+
+  breaker.forceOpen('maintenance', 5000);
+  assert.equal(breaker.isBlocking(), true);
+
+  await clock.advance(5000);
+  assert.equal(breaker.isBlocking(), false);
+
+  const state = breaker.getState();
+  assert.equal(state.state, 'HalfOpen');
+  assert.equal(state.override, null);
+  assert.equal(state.isBlocking, false);
+});
+
+test('restore() keeps an open breaker open for the rest of its duration', async () => {
+  const { clock, breaker } = createBreaker();
+  trip(breaker);
+  await clock.advance(400);
+  const saved = JSON.parse(JSON.stringify(breaker.snapshot()));
+
+  const { breaker: restored } = createBreaker({ clock });
+  restored.restore(saved);
+  assert.equal(restored.shouldBlock(), true);
+
+  await clock.advance(600);
+  assert.equal(restored.shouldBlock(), false);
+  assert.equal(restored.state, 'HalfOpen');
+});
+
+test('restore() of a forceOpen that has since expired resumes in HalfOpen', async () => {
+  const { clock, breaker } = createBreaker();
+  breaker.forceOpen('maintenance', 1000);
+  const saved = JSON.parse(JSON.stringify(breaker.snapshot()));
+
+  await clock.advance(2000);
+  const { breaker: restored } = createBreaker({ clock });
+  restored.restore(saved);
+
+  assert.equal(restored.state, 'HalfOpen');
+  assert.equal(restored.shouldBlock(), false);
+});
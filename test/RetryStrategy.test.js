@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryStrategy } from '../src/lib/RetryStrategy.js';
+import { RetryBudget } from '../src/lib/RetryBudget.js';
+import { VirtualClock } from '../src/lib/Clock.js';
+import { AttemptTimeoutError } from '../src/lib/errors.js';
+
+// Retryable by the default classifier
+function serverError() {
+  const error = new Error('Service Unavailable');
+  error.status = 503;
+  return error;
+}
+
+function createRetry(options = {}) {
+  const clock = options.clock || new VirtualClock();
+  const retry = new RetryStrategy({
+    clock,
+    baseDelayMs: 100,
+    jitterType: 'none',
+    maxAttempts: 4,
+    ...options
+  });
+  return { clock, retry };
+}
+
+// Run execute() while advancing the virtual clock until it settles
+async function run(clock, promise, stepMs = 50) {
+  let settled = false;
+  promise.finally(() => { settled = true; }).catch(() => {});
+  while (!settled) await clock.advance(stepMs);
+  return promise;
+}
+
+test('retries until success and records every attempt', async () => {
+  const { clock, retry } = createRetry();
+  let calls = 0;
+
+  const result = await run(clock, retry.execute(async () => {
+    calls++;
+    if (calls < 3) throw serverError();
+    return 'sent';
+  }));
+
+  assert.equal(result.success, true);
+  assert.equal(result.result, 'sent');
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(result.history.map(entry => entry.attempt), [1, 2, 3]);
+  assert.deepEqual(result.history.map(entry => entry.delayMs), [100, 200, undefined]);
+  assert.deepEqual(result.history.map(entry => entry.startedAt), [0, 100, 300]);
+  assert.equal(result.history[0].delayReason, 'backoff');
+  assert.equal(result.history[2].error, null);
+});
+
+test('gives up after maxAttempts', async () => {
+  const { clock, retry } = createRetry();
+  const giveUps = [];
+  retry.onGiveUp = event => giveUps.push(event.reason);
+
+  const result = await run(clock, retry.execute(async () => { throw serverError(); }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.attempts, 4);
+  assert.equal(result.history.length, 4);
+  assert.deepEqual(giveUps, ['max_attempts']);
+});
+
+test('does not retry errors the classifier rejects', async () => {
+  const { clock, retry } = createRetry();
+  const error = new Error('Bad Request');
+  error.status = 400;
+
+  const result = await run(clock, retry.execute(async () => { throw error; }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.error, error);
+});
+
+test('Retry-After replaces the backoff delay', async () => {
+  const { clock, retry } = createRetry({ jitterMs: 1 });
+  const retries = [];
+  retry.onRetry = event => retries.push([event.delayMs, event.reason]);
+  let calls = 0;
+
+  await run(clock, retry.execute(async () => {
+    if (++calls === 1) {
+      const error = new Error('Too Many Requests');
+      error.status = 429;
+      error.retryAfterMs = 5000;
+      throw error;
+    }
+  }));
+
+  assert.deepEqual(retries, [[5000, 'retry_after']]);
+});
+
+test('abort during backoff stops with aborted: true', async () => {
+  const { clock, retry } = createRetry();
+  const controller = new AbortController();
+  let calls = 0;
+
+  const pending = retry.execute(async () => {
+    calls++;
+    throw serverError();
+  }, { signal: controller.signal });
+
+  await clock.advance(50);
+  controller.abort();
+  const result = await pending;
+
+  assert.equal(result.success, false);
+  assert.equal(result.aborted, true);
+  assert.equal(calls, 1);
+});
+
+test('abort cancels the attempt in flight, even one that ignores its signal', async () => {
+  const { clock, retry } = createRetry();
+  const controller = new AbortController();
+  let attemptSignal = null;
+
+  const pending = retry.execute((attempt, signal) => {
+    attemptSignal = signal;
+    return new Promise(() => {}); // Never settles
+  }, { signal: controller.signal });
+
+  await clock.advance(10);
+  controller.abort();
+  const result = await pending;
+
+  assert.equal(result.aborted, true);
+  assert.equal(attemptSignal.aborted, true);
+});
+
+test('a retry that would start past the deadline is skipped', async () => {
+  const { clock, retry } = createRetry();
+  let calls = 0;
+
+  const result = await run(clock, retry.execute(async () => {
+    calls++;
+    throw serverError();
+  }, { deadlineMs: 250 }));
+
+  // Attempts at 0 and 100; the next would start at 300
+  assert.equal(calls, 2);
+  assert.equal(result.deadlineExceeded, true);
+});
+
+test('attemptTimeoutMs abandons a hung attempt and retries', async () => {
+  const { clock, retry } = createRetry();
+  let calls = 0;
+
+  const result = await run(clock, retry.execute(() => {
+    calls++;
+    return calls === 1 ? new Promise(() => {}) : 'sent';
+  }, { attemptTimeoutMs: 1000 }));
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 2);
+  assert.ok(result.history[0].error instanceof AttemptTimeoutError);
+  assert.equal(result.history[0].durationMs, 1000);
+});
+
+test('a throwing hook does not change the outcome', async () => {
+  const { clock, retry } = createRetry({
+    onRetry: () => { throw new Error('logger down'); },
+    onSuccess: () => { throw new Error('metrics down'); }
+  });
+  let calls = 0;
+
+  const result = await run(clock, retry.execute(async () => {
+    if (++calls === 1) throw serverError();
+    return 'sent';
+  }));
+
+  assert.equal(result.success, true);
+  assert.equal(calls, 2);
+});
+
+test('an exhausted budget fails fast', async () => {
+  const clock = new VirtualClock();
+  const budget = new RetryBudget({ ratio: 0, minRetriesPerSec: 0, clock });
+  const { retry } = createRetry({ clock, budget });
+
+  const result = await run(clock, retry.execute(async () => { throw serverError(); }));
+
+  assert.equal(result.budgetExhausted, true);
+  assert.equal(result.attempts, 1);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { InMemoryStateStore, RedisStateStore, RespConnection } from '../src/lib/StateStore.js';
+
+/**
+ * Local stand-in for a Redis server: parses RESP commands and answers each
+ * one with reply(args), a raw RESP string. `chunkSize` splits every reply
+ * into small writes to exercise partial reads.
+ */
+async function startServer(reply, { chunkSize = Infinity } = {}) {
+  const commands = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      for (;;) {
+        const parsed = parseCommand(buffer);
+        if (!parsed) break;
+        buffer = buffer.slice(parsed.length);
+        commands.push(parsed.args);
+
+        const raw = reply(parsed.args);
+        if (raw === null) {
+          socket.destroy();
+          return;
+        }
+        for (let i = 0; i < raw.length; i += chunkSize) {
+          socket.write(raw.slice(i, i + chunkSize));
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    commands,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// "*2\r\n$4\r\nPING\r\n..." → { args, length } or null if incomplete
+function parseCommand(buffer) {
+  const header = buffer.match(/^\*(\d+)\r\n/);
+  if (!header) return null;
+
+  const args = [];
+  let position = header[0].length;
+  for (let i = 0; i < Number(header[1]); i++) {
+    const lengthLine = buffer.slice(position).match(/^\$(\d+)\r\n/);
+    if (!lengthLine) return null;
+    const start = position + lengthLine[0].length;
+    const end = start + Number(lengthLine[1]);
+    if (buffer.length < end + 2) return null;
+    args.push(buffer.slice(start, end));
+    position = end + 2;
+  }
+  return { args, length: position };
+}
+
+test('RedisStateStore sends the consume script and parses its reply', async () => {
+  const server = await startServer(() => '*3\r\n:1\r\n$3\r\n4.5\r\n:0\r\n');
+  const store = new RedisStateStore({ port: server.port, keyPrefix: 'test:', ttlMs: 5000 });
+
+  try {
+    const result = await store.consume('chat', { rate: 5, burst: 10, cost: 2, now: 123 });
+    assert.deepEqual(result, { allowed: true, tokens: 4.5, retryAfterMs: 0 });
+
+    const [command, script, keyCount, key, ...args] = server.commands[0];
+    assert.equal(command, 'EVAL');
+    assert.equal(keyCount, '1');
+    assert.equal(key, 'test:chat');
+    // The script times the refill itself, the caller's clock is not sent
+    assert.match(script, /redis\.call\('TIME'\)/);
+    assert.deepEqual(args, ['5', '10', '2', '5000']);
+  } finally {
+    await store.close();
+    await server.close();
+  }
+});
+
+test('RespConnection answers pipelined commands in order', async () => {
+  const server = await startServer(args => `$${args[1].length}\r\n${args[1]}\r\n`);
+  const connection = new RespConnection({ port: server.port });
+
+  try {
+    const replies = await Promise.all([
+      connection.sendCommand(['ECHO', 'one']),
+      connection.sendCommand(['ECHO', 'two']),
+      connection.sendCommand(['ECHO', 'three'])
+    ]);
+    assert.deepEqual(replies, ['one', 'two', 'three']);
+  } finally {
+    await connection.close();
+    await server.close();
+  }
+});
+
+test('RespConnection parses replies split across reads', async () => {
+  const server = await startServer(
+    () => '*4\r\n+OK\r\n:42\r\n$-1\r\n*2\r\n$5\r\nhello\r\n$0\r\n\r\n',
+    { chunkSize: 3 }
+  );
+  const connection = new RespConnection({ port: server.port });
+
+  try {
+    const reply = await connection.sendCommand(['ANY']);
+    assert.deepEqual(reply, ['OK', 42, null, ['hello', '']]);
+  } finally {
+    await connection.close();
+    await server.close();
+  }
+});
+
+test('RespConnection rejects error replies without losing its place', async () => {
+  const server = await startServer(args =>
+    args[0] === 'BAD' ? '-ERR unknown command\r\n' : '+PONG\r\n'
+  );
+  const connection = new RespConnection({ port: server.port });
+
+  try {
+    const bad = connection.sendCommand(['BAD']);
+    const good = connection.sendCommand(['PING']);
+
+    await assert.rejects(bad, /ERR unknown command/);
+    assert.equal(await good, 'PONG');
+  } finally {
+    await connection.close();
+    await server.close();
+  }
+});
+
+test('RespConnection rejects pending commands when the connection drops', async () => {
+  const server = await startServer(() => null);
+  const connection = new RespConnection({ port: server.port });
+
+  try {
+    await assert.rejects(connection.sendCommand(['PING']), /Connection closed/);
+  } finally {
+    await connection.close();
+    await server.close();
+  }
+});
+
+test('InMemoryStateStore refills by elapsed time and reports the wait', async () => {
+  const store = new InMemoryStateStore();
+  const limits = { rate: 2, burst: 2 };
+
+  assert.equal((await store.consume('k', { ...limits, now: 0 })).allowed, true);
+  assert.equal((await store.consume('k', { ...limits, now: 0 })).allowed, true);
+
+  const denied = await store.consume('k', { ...limits, now: 0 });
+  assert.deepEqual(denied, { allowed: false, tokens: 0, retryAfterMs: 500 });
+
+  assert.equal((await store.consume('k', { ...limits, now: 500 })).allowed, true);
+});
@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucket } from '../src/lib/TokenBucket.js';
+import { VirtualClock } from '../src/lib/Clock.js';
+import { RateLimitTimeoutError } from '../src/lib/errors.js';
+
+// Record when each take() resolves (or how it failed)
+function track(clock, promise, log, label) {
+  return promise.then(
+    () => log.push([label, clock.now()]),
+    error => log.push([label, error.name])
+  );
+}
+
+test('starts with a full burst, then paces at the rate', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 2, burst: 2, clock });
+  const log = [];
+
+  for (let i = 1; i <= 4; i++) track(clock, bucket.take(), log, i);
+  await clock.advance(1000);
+
+  assert.deepEqual(log, [[1, 0], [2, 0], [3, 500], [4, 1000]]);
+});
+
+test('waiters are served first come, first served', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 1, burst: 1, clock });
+  bucket.tryTake();
+  const log = [];
+
+  track(clock, bucket.take(), log, 'a');
+  track(clock, bucket.take(), log, 'b');
+  track(clock, bucket.take(), log, 'c');
+  assert.equal(bucket.getWaitingCount(), 3);
+
+  // tryTake() never jumps the queue
+  await clock.advance(1000);
+  assert.equal(bucket.tryTake(), false);
+
+  await clock.advance(2000);
+  assert.deepEqual(log, [['a', 1000], ['b', 2000], ['c', 3000]]);
+  assert.equal(bucket.getWaitingCount(), 0);
+});
+
+test('a bulk take() waits for its whole cost', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 4, burst: 4, clock });
+  bucket.tryTake(4);
+  const log = [];
+
+  track(clock, bucket.take(3), log, 'bulk');
+  await clock.advance(1000);
+
+  assert.deepEqual(log, [['bulk', 750]]);
+  await assert.rejects(bucket.take(5), RangeError);
+});
+
+test('maxWaitMs and abort take a waiter out of the queue', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 1, burst: 1, clock });
+  bucket.tryTake();
+  const controller = new AbortController();
+  const log = [];
+
+  track(clock, bucket.take({ maxWaitMs: 200 }), log, 'timeout');
+  track(clock, bucket.take({ signal: controller.signal }), log, 'aborted');
+  track(clock, bucket.take(), log, 'last');
+
+  controller.abort();
+  await clock.advance(1000);
+
+  assert.deepEqual(log, [['aborted', 'AbortError'], ['timeout', 'RateLimitTimeoutError'], ['last', 1000]]);
+  assert.equal(bucket.getWaitingCount(), 0);
+});
+
+test('maxWaitMs rejects with RateLimitTimeoutError carrying the wait', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 1, burst: 1, clock });
+  bucket.tryTake();
+
+  const taken = bucket.take({ maxWaitMs: 300 });
+  clock.advance(300);
+
+  await assert.rejects(taken, error => {
+    assert.ok(error instanceof RateLimitTimeoutError);
+    assert.equal(error.waitedMs, 300);
+    return true;
+  });
+});
+
+test('higher priority is served first, FIFO within a priority', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 1, burst: 1, clock });
+  bucket.tryTake();
+  const log = [];
+
+  track(clock, bucket.take({ priority: 0 }), log, 'backlog-1');
+  track(clock, bucket.take({ priority: 0 }), log, 'backlog-2');
+  track(clock, bucket.take({ priority: 1 }), log, 'live-1');
+  track(clock, bucket.take({ priority: 1 }), log, 'live-2');
+  assert.equal(bucket.getWaitingCount(1), 2);
+
+  await clock.advance(4000);
+  assert.deepEqual(log.map(([label]) => label), ['live-1', 'live-2', 'backlog-1', 'backlog-2']);
+});
+
+test('lowPriorityShare is the minimum share of tokens for the low lane', async () => {
+  for (const share of [0.1, 0.5]) {
+    const clock = new VirtualClock();
+    const bucket = new TokenBucket({ rate: 10, burst: 1, clock, lowPriorityShare: share });
+    bucket.tryTake();
+    const served = { low: 0, high: 0 };
+
+    for (let i = 0; i < 200; i++) {
+      bucket.take({ priority: 1 }).then(() => served.high++);
+      bucket.take({ priority: 0 }).then(() => served.low++);
+    }
+    await clock.advance(10000); // 100 tokens, both lanes still waiting
+
+    assert.equal(served.low + served.high, 100);
+    assert.equal(served.low, 100 * share);
+  }
+});
+
+test('lowPriorityShare counts tokens, not waiters', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 10, burst: 5, clock, lowPriorityShare: 0.2 });
+  bucket.tryTake(5);
+  const tokens = { low: 0, high: 0 };
+
+  for (let i = 0; i < 100; i++) {
+    bucket.take({ priority: 1 }).then(() => tokens.high++);
+    bucket.take(5, { priority: 0 }).then(() => { tokens.low += 5; });
+  }
+  await clock.advance(10000);
+
+  const share = tokens.low / (tokens.low + tokens.high);
+  assert.ok(share >= 0.19 && share <= 0.25, `low lane got ${share}`);
+});
+
+test('pauseUntil() empties the bucket and holds every waiter', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 2, burst: 2, clock });
+  const log = [];
+
+  bucket.pauseUntil(3000);
+  assert.equal(bucket.isPaused(), true);
+  assert.equal(bucket.tryTake(), false);
+
+  track(clock, bucket.take(), log, 'a');
+  track(clock, bucket.take(), log, 'b');
+  await clock.advance(3000);
+  assert.deepEqual(log, []);
+
+  // Tokens only start refilling when the pause ends
+  await clock.advance(1000);
+  assert.deepEqual(log, [['a', 3500], ['b', 4000]]);
+});
+
+test('pauseUntil() never shortens a pause', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 1, clock });
+
+  bucket.pauseUntil(5000);
+  bucket.pauseUntil(1000);
+  assert.equal(bucket.pausedUntil, 5000);
+});
+
+test('setRate() re-times the waiter in front', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 1, burst: 1, clock });
+  bucket.tryTake();
+  const log = [];
+
+  track(clock, bucket.take(), log, 'a');
+  await clock.advance(500);
+  bucket.setRate(10); // Half a token earned, the other half takes 50ms now
+  await clock.advance(1000);
+
+  assert.deepEqual(log, [['a', 550]]);
+});
+
+test('a burst that follows a fractional rate stays at one token', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 5, clock });
+
+  bucket.setRate(1 / 6);
+  assert.equal(bucket.capacity, 1);
+
+  const log = [];
+  track(clock, bucket.take(), log, 'a');
+  await clock.advance(10);
+  assert.deepEqual(log, [['a', 0]]);
+});
+
+test('snapshot() and restore() credit tokens for the time in between', async () => {
+  const clock = new VirtualClock();
+  const bucket = new TokenBucket({ rate: 1, burst: 5, clock });
+  bucket.tryTake(5);
+  const saved = JSON.parse(JSON.stringify(bucket.snapshot()));
+
+  await clock.advance(2000);
+  const restored = new TokenBucket({ rate: 1, clock });
+  restored.restore(saved);
+
+  assert.equal(restored.capacity, 5);
+  assert.equal(restored.tokens, 2);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualClock, sleep } from '../src/lib/Clock.js';
+
+test('time only moves on advance()', async () => {
+  const clock = new VirtualClock({ startTime: 1000 });
+  assert.equal(clock.now(), 1000);
+
+  await clock.advance(250);
+  assert.equal(clock.now(), 1250);
+});
+
+test('timers fire in due order, ties in scheduling order', async () => {
+  const clock = new VirtualClock();
+  const fired = [];
+
+  clock.setTimeout(() => fired.push('b'), 200);
+  clock.setTimeout(() => fired.push('a'), 100);
+  clock.setTimeout(() => fired.push('c'), 200);
+
+  await clock.advance(150);
+  assert.deepEqual(fired, ['a']);
+
+  await clock.advance(50);
+  assert.deepEqual(fired, ['a', 'b', 'c']);
+  assert.equal(clock.getPendingTimers(), 0);
+});
+
+test('timers see their own due time', async () => {
+  const clock = new VirtualClock();
+  let firedAt = null;
+
+  clock.setTimeout(() => { firedAt = clock.now(); }, 300);
+  await clock.advance(1000);
+
+  assert.equal(firedAt, 300);
+  assert.equal(clock.now(), 1000);
+});
+
+test('clearTimeout cancels a timer', async () => {
+  const clock = new VirtualClock();
+  let fired = false;
+
+  const handle = clock.setTimeout(() => { fired = true; }, 100);
+  clock.clearTimeout(handle);
+  await clock.advance(200);
+
+  assert.equal(fired, false);
+});
+
+test('async code chained on a timer can schedule the next one in the same advance()', async () => {
+  const clock = new VirtualClock();
+  const wokeAt = [];
+
+  (async () => {
+    for (let i = 0; i < 3; i++) {
+      await sleep(100, clock);
+      wokeAt.push(clock.now());
+    }
+  })();
+
+  await clock.advance(300);
+  assert.deepEqual(wokeAt, [100, 200, 300]);
+});
+
+test('runNext() jumps to the next timer', async () => {
+  const clock = new VirtualClock();
+  clock.setTimeout(() => {}, 5000);
+
+  assert.equal(await clock.runNext(), true);
+  assert.equal(clock.now(), 5000);
+  assert.equal(await clock.runNext(), false);
+});
+
+test('random() is reproducible for a seed', () => {
+  const a = new VirtualClock({ seed: 42 });
+  const b = new VirtualClock({ seed: 42 });
+  const c = new VirtualClock({ seed: 7 });
+
+  const draw = clock => Array.from({ length: 5 }, () => clock.random());
+  const fromA = draw(a);
+
+  assert.deepEqual(fromA, draw(b));
+  assert.notDeepEqual(fromA, draw(c));
+  for (const value of fromA) {
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('sleep() rejects with the abort reason', async () => {
+  const clock = new VirtualClock();
+  const controller = new AbortController();
+
+  const slept = sleep(1000, clock, controller.signal);
+  controller.abort(new Error('shutdown'));
+
+  await assert.rejects(slept, /shutdown/);
+  assert.equal(clock.getPendingTimers(), 0);
+});